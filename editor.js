@@ -4,43 +4,246 @@
 // +++ Added Axis-Constrained Dragging (Shift Key) +++
 // +++ Added Straighten Symmetry Function +++
 // +++ Added Undo Functionality (v3 - Correct Drag Undo Timing) +++
+// +++ Added Import of Exported Code (Format 1 / Format 2) +++
+// +++ Added Project Files (.shipproj.json) with Autosave Recovery +++
+// +++ Added Redo, Labelled History Panel and Selection Restore +++
+// +++ Added Delta-Based, Coalesced Undo History +++
+// +++ Added Ship Stats / Metadata Form (validated, exported) +++
+// +++ Added SHIP_DEFINITIONS Entry Export (multi-layer 'layers' array) +++
+// +++ Added 'Write ships.js' (whole registry with this session's edits merged in) +++
+// +++ Added SVG Export (layers as polygons, optional thruster glow / background) +++
+// +++ Added SVG Import (polygon/polyline/rect/path as layers, curves flattened) +++
+// +++ Added PNG Sprite Sheet + JSON Atlas Export (current ship or whole fleet) +++
+// +++ Added Live Mirror Symmetry Mode (linked vertex pairs, Complete From Half) +++
+// +++ Added Thruster Editor (engine glow as editable ellipses, generated glow code) +++
+// +++ Added Procedural Ship Parameters (live preview, Bake to Polygons, parameterised export) +++
+// +++ Added Layer Panel (names, drag reorder, hide/lock, duplicate/delete) +++
+// +++ Added Configurable Grid with Snap-to-Grid and Magnetic Vertex/Edge Snapping (ALT bypasses) +++
+// +++ Added Panning (middle-drag / Space+drag), Cursor-Centred Wheel Zoom, Fit Ship / 100% and Zoom Readout +++
+// +++ Added Transform Gizmo (scale/rotate layers or vertex selections about a chosen pivot, numeric entry) +++
+// +++ Added Numeric Vertex Inspector (editable x/y table, offset selection, insert/delete rows) +++
+// +++ Added Marquee Selection (Shift adds, ALT subtracts), Select All / Invert and Cross-Layer Vertex Selection +++
+// +++ Added Keyboard Editing (arrow nudging, Tab cycling, shortcuts, Escape cancels drags) and '?' Shortcut Overlay +++
+// +++ Added Test Flight Mode (fly the design over a starfield using its speed/thrust/turn stats, live readouts) +++
+// +++ Added Reference Ships (other definitions pinned as faint overlays at true relative size, side by side, size readout) +++
+// +++ Added Backdrop Image for Tracing (opacity, scale, rotation, offset, lock; saved in the project) +++
+// +++ Added Layer / Vertex Clipboard (copy, cut, paste across ships and via the system clipboard as JSON), Flip H/V +++
+// +++ Added Curved Edges (per-vertex corner / smooth Bézier with draggable handles / Catmull-Rom, curve-aware hit-testing and export) +++
 
 // --- Global Variables ---
 let shipSelector;
 let exportButton;
+let exportEntryButton;
+let writeShipsButton;
+let shipsSourceFileInput;
+let exportSvgButton;
+let svgGlowCheckbox;
+let svgBackgroundSelect;
+let exportSpritesButton;
+let spriteScopeSelect;
+let spriteSizesInput;
+let spriteFramesInput;
 let addShapeButton;
 let addVertexButton;
 let fillColorPicker;
 let strokeColorPicker;
 let strokeWeightInput;
 let instructionsDiv;
-let thargoidWarningSpan;
+let shortcutOverlay;
+let closeShortcutsButton;
+let proceduralNoticeSpan;
 let zoomInButton;
 let zoomOutButton;
+let zoomFitButton;
+let zoomResetButton;
+let zoomReadoutSpan;
+let gridSpacingInput;
+let gridSubdivisionsInput;
+let snapGridCheckbox;
+let snapShapesCheckbox;
+let snapToleranceInput;
+let referenceShipSelect;
+let pinReferenceButton;
+let referenceOpacityInput;
+let referenceSideBySideCheckbox;
+let referenceList;
+let referenceReadoutSpan;
+let loadBackdropButton;
+let backdropFileInput;
+let removeBackdropButton;
+let backdropOpacityInput;
+let backdropScaleInput;
+let backdropRotationInput;
+let backdropOffsetXInput;
+let backdropOffsetYInput;
+let backdropLockCheckbox;
 let descriptionDiv;
 let straightenButton;
+let symmetryButton;
+let symmetryReadoutSpan;
+let completeHalfButton;
+let crossLayerCheckbox;
+let selectAllVerticesButton;
+let invertSelectionButton;
+let curveTypeSelect;
+let transformModeButton;
+let pivotSelect;
+let transformAngleInput;
+let transformScaleXInput;
+let transformScaleYInput;
+let applyTransformButton;
+let thrusterModeButton;
+let addThrusterButton;
+let deleteThrusterButton;
+let thrusterColorPicker;
+let thrusterAlphaInput;
+let thrusterNoteSpan;
+let thrustPreviewCheckbox;
+let testFlightButton;
 let undoButton;
+let redoButton;
+let historyList;
+let layerList;
+let duplicateLayerButton;
+let deleteLayerButton;
+let copyButton;
+let cutButton;
+let pasteButton;
+let pasteTrueSizeCheckbox;
+let flipHorizontalButton;
+let flipVerticalButton;
+let vertexTableBody;
+let vertexInspectorNote;
+let vertexOffsetXInput;
+let vertexOffsetYInput;
+let applyVertexOffsetButton;
+let statsFormDiv;
+let statInputs = {}; // field -> p5 element in the stats form
+let proceduralFormDiv;
+let proceduralInputs = {}; // field -> p5 element in the procedural parameters form
+let bakeProceduralButton;
+let importButton;
+let importFileInput;
+let importCodeArea;
+let importPasteButton;
+let importSvgButton;
+let svgFileInput;
+let svgToleranceInput;
+let svgNoseSelect;
+let saveProjectButton;
+let openProjectButton;
+let projectFileInput;
 
 let currentShipKey = null; // Key ("Sidewinder", "CobraMkIII", etc.) or "--- New Blank ---"
 let currentShipDef = null; // The original definition object (if loaded)
 let shapes = []; // Array of shape objects: { vertexData: [{x,y},...], fillColor: [r,g,b], strokeColor: [r,g,b], strokeW: number }
+                 // plus optional name (string), hidden / locked (true while set) - see the Layer Panel
+let thrusters = []; // Engine glow ellipses { x, y, rx, ry, color: [r, g, b, a] } (relative units), drawn when thrusting
+let proceduralParams = null; // drawProceduralShip() parameters of a procedural ship (e.g. the Thargoid); null for layered designs
+let currentShipStats = {}; // Stats/metadata for the design being edited (copied from the base definition)
+let sessionEdits = {}; // Definition key -> { isNew, stats, layers, thrusters, procedural } for ships edited this session
+let shipsJsSource = null; // Text of the loaded ships.js, read the first time Write ships.js is used
+let pendingShipsJsWrite = null; // Write waiting for the user to choose ships.js (when it can't be fetched)
+let blankDesignEditKey = null; // Key the current blank design is stashed under in sessionEdits
+
+// --- Ship Stats ---
+// Definition fields (other than drawing data) carried with a design, with the ranges the form accepts
+const SHIP_STAT_SCHEMA = [
+    { field: 'name', label: 'Name', type: 'text', required: true },
+    { field: 'role', label: 'Role', type: 'text' },
+    { field: 'sizeCategory', label: 'Size Class', type: 'select', options: ['Tiny', 'Small', 'Medium', 'Large', 'Very Large'] },
+    { field: 'size', label: 'Size', type: 'number', min: 5, max: 250, step: 1 },
+    { field: 'baseMaxSpeed', label: 'Max Speed', type: 'number', min: 0.1, max: 20, step: 0.1 },
+    { field: 'baseThrust', label: 'Thrust', type: 'number', min: 0.001, max: 1, step: 0.01 },
+    { field: 'baseTurnRateDegrees', label: 'Turn Rate (deg)', type: 'number', min: 0.1, max: 20, step: 0.1 },
+    { field: 'baseHull', label: 'Hull', type: 'number', min: 1, max: 5000, step: 10 },
+    { field: 'baseShield', label: 'Shield', type: 'number', min: 0, max: 5000, step: 10 },
+    { field: 'shieldRecharge', label: 'Shield Recharge', type: 'number', min: 0, max: 10, step: 0.1 },
+    { field: 'cargoCapacity', label: 'Cargo', type: 'number', min: 0, max: 5000, step: 1, integer: true },
+    { field: 'armament', label: 'Armament', type: 'text' },
+    { field: 'costCategory', label: 'Cost', type: 'select', options: ['N/A', 'Very Low', 'Low', 'Low-Medium', 'Medium', 'Medium-High', 'High', 'Very High'] },
+    { field: 'description', label: 'Description', type: 'textarea' }
+];
+const SHIP_STAT_FIELDS = SHIP_STAT_SCHEMA.map(spec => spec.field);
+const blankShipSize = 50; // Size used for '--- New Blank ---' designs
+
+// --- Procedural Ships ---
+// Parameters of drawProceduralShip() (ships.js) for definitions with a 'procedural' object, in the same form as SHIP_STAT_SCHEMA
+const PROCEDURAL_PARAM_SCHEMA = [
+    { field: 'points', label: 'Points', type: 'number', min: 3, max: 32, step: 1, integer: true },
+    { field: 'outerRadius', label: 'Outer Radius', type: 'number', min: 0.1, max: 2, step: 0.05 },
+    { field: 'innerRadius', label: 'Inner Radius', type: 'number', min: 0, max: 2, step: 0.05 },
+    { field: 'hueSpeed', label: 'Hue Speed', type: 'number', min: 0, max: 10, step: 0.1 },
+    { field: 'saturation', label: 'Saturation', type: 'number', min: 0, max: 100, step: 1 },
+    { field: 'coreSize', label: 'Core Size', type: 'number', min: 0, max: 2, step: 0.05 },
+    { field: 'pulseRate', label: 'Pulse Rate', type: 'number', min: 0, max: 1, step: 0.01 }
+];
+const proceduralCoreSegments = 24; // Vertices of the core circle when baking
+
+// --- Project Files & Autosave ---
+const PROJECT_FORMAT_ID = 'elite-ship-editor-project';
+const PROJECT_SCHEMA_VERSION = 3;
+// Migration hook: projectMigrations[n] upgrades a version n project to version n + 1.
+// Add an entry here whenever PROJECT_SCHEMA_VERSION is bumped so older files keep opening.
+const projectMigrations = {
+    1: migrateProjectV1ToV2, // engineGlowCode -> thrusters
+    2: migrateProjectV2ToV3 // + backdrop
+};
+const CLIPBOARD_FORMAT_ID = 'elite-ship-editor-clipboard'; // Marks editor JSON on the system clipboard
+const autosaveStorageKey = 'eliteShipEditor.autosave';
+const autosaveIntervalMs = 15000; // How often unsaved work is written to localStorage
+let projectDirty = false; // True when there are edits not yet autosaved
 
 // --- Undo History ---
 let historyStack = [];
-const maxHistorySize = 30; // Max number of undo steps
+let redoStack = [];
+const maxHistorySize = 500; // Max number of undo steps (steps only store what changed, so this can be deep)
+let openHistoryStep = null; // Step being recorded (drag gesture, picker interaction), see beginHistoryStep()
+let editRevision = 0; // Bumped when the design or the session edits may have changed outside an open step (for caches)
+let historyRows = []; // History panel <li> per position ('Start', done actions, undone actions)
+let historyPanelSignature = null; // Labels the rows were built from; undo/redo keeps them and only moves the highlight
+let historyPanelSuspended = false; // Set while jumpToHistoryPosition() steps, so the panel is refreshed once at the end
 
 // --- Display & Scaling ---
 let canvasWidth = 600;
 let canvasHeight = 450;
-let baseDisplaySize = 350; // Initial Max drawing size (represents current zoom)
+const defaultBaseDisplaySize = 350; // Max drawing size at 100% zoom
+let baseDisplaySize = defaultBaseDisplaySize; // Max drawing size (represents current zoom)
 let maxDefinedShipSize = 1; // Will be calculated from definitions
 let pixelsPerUnit = 1; // Scale factor: pixels / ship size unit
-let gridSpacing = 25; // World units between grid lines (adjust for visual density)
+let gridSpacing = 25; // World units between grid lines (set from the Grid input)
+let gridSubdivisions = 1; // Fainter lines per grid cell; snapping uses the subdivided spacing
+
+// --- Snapping ---
+let snapToGrid = false; // Dragged / added vertices land on grid points
+let snapToShapes = false; // Magnetic snapping to vertices and edges of other visible layers
+let snapTolerance = 8; // Screen pixels within which magnetic snapping engages
+let activeSnap = null; // { x, y, kind } (relative units) of the snap in effect, drawn as a cue on the canvas
+let dragSnapAnchor = null; // Initial relative position of the vertex a drag snaps by
+
+// --- Reference Ships ---
+let referenceShips = []; // SHIP_DEFINITIONS keys pinned as non-interactive overlays, in the order pinned
+let referenceOpacity = 0.35; // Alpha the reference ships are drawn with
+let referenceSideBySide = false; // Line the references up to the right of the design instead of over it
+const referenceGap = 20; // Screen pixels between ships placed side by side
+let referencePanelSignature = null; // What the reference list rows were built from
+let referenceCache = { sourcesSignature: null, sources: [], placementsSignature: null, placements: [] }; // See getReferencePlacements()
+
+// --- Backdrop Image ---
+let backdrop = null; // { name, dataUrl, opacity (0-1), scale (world units per image pixel), rotation (degrees), offsetX, offsetY (world units), locked }
+let backdropImage = null; // p5.Image loaded from backdrop.dataUrl (null until it has loaded)
+const defaultBackdropOpacity = 0.5;
 
 // --- Zoom Control ---
 const zoomFactor = 1.2; // How much to zoom per click
 const minBaseDisplaySize = 50; // Min zoom out level (in pixels for largest ship)
 const maxBaseDisplaySize = 2000; // Max zoom in level
+const wheelZoomFactor = 1.2; // Zoom per wheel notch (100 delta units); trackpads send smaller steps
+const fitViewMargin = 30; // Screen pixels left around the ship by 'Fit Ship'
+let viewPanX = 0; // Screen offset (pixels) of the ship's origin from the canvas centre
+let viewPanY = 0;
+let panning = null; // { startX, startY, panX, panY } while the view is middle-dragged / Space-dragged
+const spaceKeyCode = 32;
 
 // --- Interaction ---
 let vertexHandleSize = 8;
@@ -50,10 +253,57 @@ const straightenThreshold = 0.2; // Tolerance for symmetry check (relative coord
 
 let selectedShapeIndex = -1;
 let selectedVertexIndices = []; // <-- Array for multi-select vertex indices
+let crossLayerSelect = false; // Vertex selection (and dragging) may span several layers
+let crossLayerSelection = new Map(); // Layer object -> selected vertex indices, for layers other than the selected one
+let marquee = null; // { startX, startY, endX, endY, mode: 'replace' | 'add' | 'subtract' } (screen, relative to origin) while box selecting
 let draggingVertex = false; // Now means dragging selected vertices
 let addingVertexMode = false;
+let symmetryMode = false; // Edits to a vertex also move/add/delete its mirror partner (see 'mirrorLinks' on layers)
+let thrusterEditMode = false; // Canvas clicks select/move/resize thrusters instead of layers
+let thrustPreview = false; // Draw the thrusters as when the ship is thrusting
+let selectedThrusterIndex = -1;
+let draggingThruster = null; // { index, part: 'move' | 'rx' | 'ry', startX, startY, initial }
+const defaultThrusterColor = [255, 200, 100, 255];
 let draggingShape = false; // Flag for shape dragging
+let transformMode = false; // Show the rotate/scale gizmo on the selected layer (or selected vertices)
+let transformPivotMode = 'center'; // 'center' (of the selection), 'origin' or 'vertex' (transformPivotVertex)
+let transformPivotVertex = null; // { layerIndex, index } clicked as the pivot in 'vertex' mode (indices, as undo replaces the layer objects)
+let transformDrag = null; // { part: 'scale' | 'rotate', pivot, handle, startX, startY, initial } while dragging a gizmo handle
+const transformHandleSize = 6; // Half-size (pixels) of the gizmo's handles
+const scaleHandleOffset = 10; // Pixels the corner handles sit outside the box (clear of the corner vertices)
+const rotateHandleOffset = 25; // Pixels above the box for the rotation handle
+const rotationSnapDegrees = 15; // Angle step while Shift is held on the rotation handle
+let draggingCurveHandle = null; // { index, side: 'in' | 'out', startX, startY } while dragging a smooth vertex's Bézier control handle
+const curveHandleSize = 3; // Radius (pixels) of the control handle dots
+const curveFlattenTolerance = 0.004; // Relative units: curved edges become polylines this close for hit-testing and bounds
+let flattenedOutlineCache = new WeakMap(); // vertexData array -> { key, points } of its last flattenOutline()
+let layerDragIndex = -1; // Layer panel row being dragged to a new position
+let layerRows = []; // Layer panel <li> per layer (same order as 'shapes')
+let layerPanelSignature = null; // What the rows were built from; they are only rebuilt when it changes
+let vertexRows = []; // Vertex inspector rows { row, xInput, yInput } per vertex of the selected layer
+let vertexInspectorSignature = null; // Layer / vertex count the rows were built for
+const inspectorDecimals = 4; // Coordinates shown to the precision of the exported code
 let dragOccurred = false; // Flag to check if a drag actually moved something
+let editorClipboard = null; // Last copied layers / vertices (see copySelection()); kept when switching ships
+let pasteTrueSize = true; // Rescale pasted geometry so it keeps its size in game units on a ship of another size
+
+// --- Keyboard ---
+const nudgeFineStep = 0.01; // Relative units moved per arrow key press
+const nudgeCoarseStep = 0.1; // ... with Shift held
+const nudgeBurstMs = 600; // Arrow presses closer together than this form one undo step
+let nudgeCommitTimer = null;
+
+// --- Test Flight ---
+let flightMode = false; // The canvas shows the design flying over a starfield instead of the editor
+let flight = null; // { x, y, vx, vy, heading (degrees, 0 = nose along +X), thrusting, braking } in game pixels per frame
+let flightSource = null; // Sprite source of the design flying (getCurrentSpriteSource()), built when the flight (re)starts
+let starfield = []; // Stars { x, y, depth, bright } in a starfieldTileSize square, repeated across the view
+const starfieldTileSize = 1024;
+const starfieldStarCount = 260;
+const flightFrameRate = 60; // Game frames per second the speed / thrust / turn stats are tuned for
+let flightViewScale = 1; // Screen pixels per game pixel (mouse wheel while flying); 1 = as big as in the game
+const minFlightViewScale = 0.5;
+const maxFlightViewScale = 4;
 
 // --- Dragging State ---
 let dragVertexStartX = 0; // Screen X (relative to center) where vertex drag started
@@ -82,9 +332,21 @@ function setup() {
 
     // --- Get References to UI Elements ---
     instructionsDiv = select('#instructions');
-    thargoidWarningSpan = select('#thargoidWarning');
+    shortcutOverlay = select('#shortcutOverlay');
+    closeShortcutsButton = select('#closeShortcutsButton');
+    proceduralNoticeSpan = select('#proceduralNotice');
     shipSelector = select('#shipSelect');
     exportButton = select('#exportButton');
+    exportEntryButton = select('#exportEntryButton');
+    writeShipsButton = select('#writeShipsButton');
+    shipsSourceFileInput = select('#shipsSourceFileInput');
+    exportSvgButton = select('#exportSvgButton');
+    svgGlowCheckbox = select('#svgGlowCheckbox');
+    svgBackgroundSelect = select('#svgBackgroundSelect');
+    exportSpritesButton = select('#exportSpritesButton');
+    spriteScopeSelect = select('#spriteScopeSelect');
+    spriteSizesInput = select('#spriteSizesInput');
+    spriteFramesInput = select('#spriteFramesInput');
     addShapeButton = select('#addShapeButton');
     addVertexButton = select('#addVertexButton');
     fillColorPicker = select('#fillColorPicker');
@@ -92,137 +354,484 @@ function setup() {
     strokeWeightInput = select('#strokeWeightInput');
     zoomInButton = select('#zoomInButton');
     zoomOutButton = select('#zoomOutButton');
+    zoomFitButton = select('#zoomFitButton');
+    zoomResetButton = select('#zoomResetButton');
+    zoomReadoutSpan = select('#zoomReadout');
+    gridSpacingInput = select('#gridSpacingInput');
+    gridSubdivisionsInput = select('#gridSubdivisionsInput');
+    snapGridCheckbox = select('#snapGridCheckbox');
+    snapShapesCheckbox = select('#snapShapesCheckbox');
+    snapToleranceInput = select('#snapToleranceInput');
+    referenceShipSelect = select('#referenceShipSelect');
+    pinReferenceButton = select('#pinReferenceButton');
+    referenceOpacityInput = select('#referenceOpacityInput');
+    referenceSideBySideCheckbox = select('#referenceSideBySideCheckbox');
+    referenceList = select('#referenceList');
+    referenceReadoutSpan = select('#referenceReadout');
+    loadBackdropButton = select('#loadBackdropButton');
+    backdropFileInput = select('#backdropFileInput');
+    removeBackdropButton = select('#removeBackdropButton');
+    backdropOpacityInput = select('#backdropOpacityInput');
+    backdropScaleInput = select('#backdropScaleInput');
+    backdropRotationInput = select('#backdropRotationInput');
+    backdropOffsetXInput = select('#backdropOffsetXInput');
+    backdropOffsetYInput = select('#backdropOffsetYInput');
+    backdropLockCheckbox = select('#backdropLockCheckbox');
     descriptionDiv = select('#shipDescriptionArea');
     straightenButton = select('#straightenButton');
+    symmetryButton = select('#symmetryButton');
+    symmetryReadoutSpan = select('#symmetryReadout');
+    completeHalfButton = select('#completeHalfButton');
+    crossLayerCheckbox = select('#crossLayerCheckbox');
+    selectAllVerticesButton = select('#selectAllVerticesButton');
+    invertSelectionButton = select('#invertSelectionButton');
+    curveTypeSelect = select('#curveTypeSelect');
+    transformModeButton = select('#transformModeButton');
+    pivotSelect = select('#pivotSelect');
+    transformAngleInput = select('#transformAngleInput');
+    transformScaleXInput = select('#transformScaleXInput');
+    transformScaleYInput = select('#transformScaleYInput');
+    applyTransformButton = select('#applyTransformButton');
+    thrusterModeButton = select('#thrusterModeButton');
+    addThrusterButton = select('#addThrusterButton');
+    deleteThrusterButton = select('#deleteThrusterButton');
+    thrusterColorPicker = select('#thrusterColorPicker');
+    thrusterAlphaInput = select('#thrusterAlphaInput');
+    thrusterNoteSpan = select('#thrusterNote');
+    thrustPreviewCheckbox = select('#thrustPreviewCheckbox');
+    testFlightButton = select('#testFlightButton');
     undoButton = select('#undoButton');
+    redoButton = select('#redoButton');
+    historyList = select('#historyList');
+    layerList = select('#layerList');
+    duplicateLayerButton = select('#duplicateLayerButton');
+    deleteLayerButton = select('#deleteLayerButton');
+    copyButton = select('#copyButton');
+    cutButton = select('#cutButton');
+    pasteButton = select('#pasteButton');
+    pasteTrueSizeCheckbox = select('#pasteTrueSizeCheckbox');
+    flipHorizontalButton = select('#flipHorizontalButton');
+    flipVerticalButton = select('#flipVerticalButton');
+    vertexTableBody = select('#vertexTableBody');
+    vertexInspectorNote = select('#vertexInspectorNote');
+    vertexOffsetXInput = select('#vertexOffsetXInput');
+    vertexOffsetYInput = select('#vertexOffsetYInput');
+    applyVertexOffsetButton = select('#applyVertexOffsetButton');
+    statsFormDiv = select('#statsForm');
+    proceduralFormDiv = select('#proceduralForm');
+    bakeProceduralButton = select('#bakeProceduralButton');
+    importButton = select('#importButton');
+    importFileInput = select('#importFileInput');
+    importCodeArea = select('#importCodeArea');
+    importPasteButton = select('#importPasteButton');
+    importSvgButton = select('#importSvgButton');
+    svgFileInput = select('#svgFileInput');
+    svgToleranceInput = select('#svgToleranceInput');
+    svgNoseSelect = select('#svgNoseSelect');
+    saveProjectButton = select('#saveProjectButton');
+    openProjectButton = select('#openProjectButton');
+    projectFileInput = select('#projectFileInput');
 
     // --- Populate Ship Dropdown ---
     shipSelector.option('Select a Ship...');
     shipSelector.option('--- New Blank ---');
     for (let key in SHIP_DEFINITIONS) { shipSelector.option(key); }
+    if (referenceShipSelect) { for (let key in SHIP_DEFINITIONS) { referenceShipSelect.option(key); } } else console.error("Reference ship select not found");
 
     // --- Attach Listeners (with null checks for safety) ---
     shipSelector.changed(handleShipSelection);
     if (exportButton) exportButton.mousePressed(exportDrawFunctionCode); else console.error("Export button not found");
+    if (exportEntryButton) exportEntryButton.mousePressed(exportDefinitionEntryCode); else console.error("Export Entry button not found");
+    if (writeShipsButton) writeShipsButton.mousePressed(writeShipsJsFile); else console.error("Write ships.js button not found");
+    if (shipsSourceFileInput) shipsSourceFileInput.changed(handleShipsSourceFileChosen); else console.error("ships.js source file input not found");
+    if (exportSvgButton) exportSvgButton.mousePressed(exportSvgFile); else console.error("Export SVG button not found");
+    if (exportSpritesButton) exportSpritesButton.mousePressed(exportSpriteSheet); else console.error("Export Sprites button not found");
     if (addShapeButton) addShapeButton.mousePressed(addNewShape); else console.error("Add Shape button not found");
     if (addVertexButton) addVertexButton.mousePressed(toggleAddVertexMode); else console.error("Add Vertex button not found");
     if (zoomInButton) zoomInButton.mousePressed(zoomIn); else console.error("Zoom In button not found");
     if (zoomOutButton) zoomOutButton.mousePressed(zoomOut); else console.error("Zoom Out button not found");
-    if (fillColorPicker) fillColorPicker.input(updateSelectedShapeFill); else console.error("Fill picker not found");
-    if (strokeColorPicker) strokeColorPicker.input(updateSelectedShapeStroke); else console.error("Stroke picker not found");
-    if (strokeWeightInput) strokeWeightInput.input(updateSelectedShapeStrokeWeight); else console.error("Stroke weight input not found");
+    if (zoomFitButton) zoomFitButton.mousePressed(fitShipToView); else console.error("Fit Ship button not found");
+    if (zoomResetButton) zoomResetButton.mousePressed(resetView); else console.error("100% zoom button not found");
+    if (zoomReadoutSpan === null) { console.error("Zoom readout (#zoomReadout) not found!"); }
+    if (gridSpacingInput && gridSubdivisionsInput && snapToleranceInput) { [gridSpacingInput, gridSubdivisionsInput, snapToleranceInput].forEach(input => input.input(updateGridSettings)); } else console.error("Grid / snap inputs not found");
+    if (snapGridCheckbox) snapGridCheckbox.changed(() => { snapToGrid = snapGridCheckbox.elt.checked; }); else console.error("Snap to grid checkbox not found");
+    if (pinReferenceButton && referenceShipSelect) pinReferenceButton.mousePressed(() => pinReferenceShip(referenceShipSelect.value())); else console.error("Pin reference button not found");
+    if (referenceOpacityInput) referenceOpacityInput.input(updateReferenceSettings); else console.error("Reference opacity input not found");
+    if (referenceSideBySideCheckbox) referenceSideBySideCheckbox.changed(updateReferenceSettings); else console.error("Reference side-by-side checkbox not found");
+    if (loadBackdropButton && backdropFileInput) { loadBackdropButton.mousePressed(() => backdropFileInput.elt.click()); backdropFileInput.changed(handleBackdropFileChosen); } else console.error("Load backdrop button/file input not found");
+    if (removeBackdropButton) removeBackdropButton.mousePressed(removeBackdrop); else console.error("Remove backdrop button not found");
+    let backdropInputs = [backdropOpacityInput, backdropScaleInput, backdropRotationInput, backdropOffsetXInput, backdropOffsetYInput];
+    if (backdropInputs.every(input => input)) backdropInputs.forEach(input => input.input(updateBackdropPlacement)); else console.error("Backdrop inputs not found");
+    if (backdropLockCheckbox) backdropLockCheckbox.changed(() => { if (backdrop) { backdrop.locked = backdropLockCheckbox.elt.checked; projectDirty = true; } updateBackdropControls(); }); else console.error("Backdrop lock checkbox not found");
+    if (snapShapesCheckbox) snapShapesCheckbox.changed(() => { snapToShapes = snapShapesCheckbox.elt.checked; }); else console.error("Snap to shapes checkbox not found");
+    if (fillColorPicker) { fillColorPicker.input(updateSelectedShapeFill); fillColorPicker.changed(commitHistoryStep); } else console.error("Fill picker not found");
+    if (strokeColorPicker) { strokeColorPicker.input(updateSelectedShapeStroke); strokeColorPicker.changed(commitHistoryStep); } else console.error("Stroke picker not found");
+    if (strokeWeightInput) { strokeWeightInput.input(updateSelectedShapeStrokeWeight); strokeWeightInput.changed(commitHistoryStep); } else console.error("Stroke weight input not found");
     if (straightenButton) straightenButton.mousePressed(handleStraightenClick); else console.error("Straighten button not found");
+    if (symmetryButton) symmetryButton.mousePressed(toggleSymmetryMode); else console.error("Symmetry button not found");
+    if (symmetryReadoutSpan === null) { console.error("Symmetry readout (#symmetryReadout) not found!"); }
+    if (completeHalfButton) completeHalfButton.mousePressed(handleCompleteHalfClick); else console.error("Complete From Half button not found");
+    if (crossLayerCheckbox) crossLayerCheckbox.changed(toggleCrossLayerSelect); else console.error("Cross-layer select checkbox not found");
+    if (selectAllVerticesButton) selectAllVerticesButton.mousePressed(selectAllVertices); else console.error("Select All button not found");
+    if (invertSelectionButton) invertSelectionButton.mousePressed(invertVertexSelection); else console.error("Invert Selection button not found");
+    if (curveTypeSelect) curveTypeSelect.changed(() => setSelectedVertexCurve(curveTypeSelect.value())); else console.error("Curve type select not found");
+    if (transformModeButton) transformModeButton.mousePressed(toggleTransformMode); else console.error("Transform button not found");
+    if (pivotSelect) pivotSelect.changed(() => { transformPivotMode = pivotSelect.value(); }); else console.error("Pivot select not found");
+    if (applyTransformButton) applyTransformButton.mousePressed(applyNumericTransform); else console.error("Apply Transform button not found");
+    if (thrusterModeButton) thrusterModeButton.mousePressed(toggleThrusterEditMode); else console.error("Edit Thrusters button not found");
+    if (addThrusterButton) addThrusterButton.mousePressed(addThruster); else console.error("Add Thruster button not found");
+    if (deleteThrusterButton) deleteThrusterButton.mousePressed(deleteSelectedThruster); else console.error("Delete Thruster button not found");
+    if (thrusterColorPicker) { thrusterColorPicker.input(updateSelectedThrusterColor); thrusterColorPicker.changed(commitHistoryStep); } else console.error("Thruster colour picker not found");
+    if (thrusterAlphaInput) { thrusterAlphaInput.input(updateSelectedThrusterColor); thrusterAlphaInput.changed(commitHistoryStep); } else console.error("Thruster alpha input not found");
+    if (thrusterNoteSpan === null) { console.error("Thruster note (#thrusterNote) not found!"); }
+    if (thrustPreviewCheckbox) thrustPreviewCheckbox.changed(() => { thrustPreview = thrustPreviewCheckbox.elt.checked; }); else console.error("Thrust preview checkbox not found");
+    if (testFlightButton) testFlightButton.mousePressed(toggleTestFlight); else console.error("Test Flight button not found");
     if (undoButton) undoButton.mousePressed(undoLastChange); else console.error("Undo button not found");
+    if (redoButton) redoButton.mousePressed(redoLastChange); else console.error("Redo button not found");
+    if (historyList === null) { console.error("History list (#historyList) not found!"); }
+    if (layerList === null) { console.error("Layer list (#layerList) not found!"); }
+    if (duplicateLayerButton) duplicateLayerButton.mousePressed(duplicateSelectedLayer); else console.error("Duplicate Layer button not found");
+    if (deleteLayerButton) deleteLayerButton.mousePressed(deleteSelectedLayer); else console.error("Delete Layer button not found");
+    if (copyButton) copyButton.mousePressed(() => writeSystemClipboard(copySelection())); else console.error("Copy button not found");
+    if (cutButton) cutButton.mousePressed(() => writeSystemClipboard(cutSelection())); else console.error("Cut button not found");
+    if (pasteButton) pasteButton.mousePressed(pasteFromSystemClipboard); else console.error("Paste button not found");
+    if (pasteTrueSizeCheckbox) pasteTrueSizeCheckbox.changed(() => { pasteTrueSize = pasteTrueSizeCheckbox.elt.checked; }); else console.error("Paste at true size checkbox not found");
+    if (flipHorizontalButton) flipHorizontalButton.mousePressed(() => flipSelection('horizontal')); else console.error("Flip Horizontal button not found");
+    if (flipVerticalButton) flipVerticalButton.mousePressed(() => flipSelection('vertical')); else console.error("Flip Vertical button not found");
+    // Ctrl+C / Ctrl+X / Ctrl+V arrive as the page's copy / cut / paste events, which can read and write the system clipboard
+    ['copy', 'cut', 'paste'].forEach(type => document.addEventListener(type, handleClipboardEvent));
+    if (vertexTableBody === null) { console.error("Vertex table (#vertexTableBody) not found!"); }
+    if (applyVertexOffsetButton) applyVertexOffsetButton.mousePressed(offsetSelectedVertices); else console.error("Offset Selected button not found");
+    if (importButton && importFileInput) { importButton.mousePressed(() => importFileInput.elt.click()); importFileInput.changed(handleImportFileChosen); } else console.error("Import button/file input not found");
+    if (importSvgButton && svgFileInput) { importSvgButton.mousePressed(() => svgFileInput.elt.click()); svgFileInput.changed(handleSvgFileChosen); } else console.error("Import SVG button/file input not found");
+    if (importPasteButton) importPasteButton.mousePressed(handleImportPastedCode); else console.error("Import paste button not found");
+    if (saveProjectButton) saveProjectButton.mousePressed(saveProjectFile); else console.error("Save Project button not found");
+    if (openProjectButton && projectFileInput) { openProjectButton.mousePressed(() => projectFileInput.elt.click()); projectFileInput.changed(handleProjectFileChosen); } else console.error("Open Project button/file input not found");
     if (descriptionDiv === null) { console.error("Description Div (#shipDescriptionArea) not found!"); }
+    if (instructionsDiv) instructionsDiv.mousePressed(toggleShortcutOverlay); else console.error("Instructions (#instructions) not found!");
+    if (shortcutOverlay === null) { console.error("Shortcut overlay (#shortcutOverlay) not found!"); }
+    if (closeShortcutsButton) closeShortcutsButton.mousePressed(toggleShortcutOverlay); else console.error("Close shortcuts button not found");
+    if (statsFormDiv) buildStatsForm(); else console.error("Stats form (#statsForm) not found!");
+    if (proceduralFormDiv) buildProceduralForm(); else console.error("Procedural form (#proceduralForm) not found!");
+    if (bakeProceduralButton) bakeProceduralButton.mousePressed(bakeProceduralShip); else console.error("Bake to Polygons button not found");
 
     // --- Initialize State ---
     handleShipSelection(); // Load initial state (or blank)
     updateUIControls(); // Set initial button disabled states etc.
+    updateZoomReadout();
+
+    // --- Autosave ---
+    offerAutosaveRestore();
+    setInterval(autosaveProject, autosaveIntervalMs);
+    window.addEventListener('beforeunload', autosaveProject);
 }
 
 // --- Undo History Functions ---
-function saveStateForUndo() {
+// History is a list of steps; each step stores only what changed:
+//   { label, changes: [change, ...], selectionBefore, selectionAfter }
+// Change kinds (indices refer to 'shapes'):
+//   { type: 'vertices', layer, indices: [...], before: [v...], after: [v...] }  - moved/edited vertices only
+//   { type: 'props',    layer, before: {key: value}, after: {key: value} }     - changed non-vertex fields only
+//   { type: 'layer',    layer, before, after }                                  - whole layer (vertex count changed)
+//   { type: 'insert',   index, layer } / { type: 'remove', index, layer }       - one layer added / removed
+//   { type: 'replaceAll', before: [...], after: [...] }                         - any other structural change
+//   { type: 'thrusters', before, after } / { type: 'procedural', before, after } - thruster list / procedural parameters
+// A step is opened with beginHistoryStep() BEFORE changing shapes and closed with commitHistoryStep()
+// afterwards, so a whole drag gesture or colour-picker interaction becomes a single entry.
+function beginHistoryStep(label, layerIndices = null, coalesceKey = null) {
+    // layerIndices: layers the step may modify, or null if layers may be added/removed/reordered.
+    // coalesceKey: repeated begins with the same key (e.g. picker 'input' ticks) extend the open step.
+    if (openHistoryStep) {
+        if (coalesceKey !== null && openHistoryStep.coalesceKey === coalesceKey) return;
+        commitHistoryStep();
+    }
+    let scope = layerIndices === null ? null : layerIndices.filter(i => i >= 0 && i < shapes.length);
+    openHistoryStep = {
+        label: label,
+        coalesceKey: coalesceKey,
+        scope: scope,
+        // Only the layers in scope are copied; a structural step keeps serialized copies of every layer
+        before: scope === null ? shapes.map(layer => JSON.stringify(layer))
+                               : new Map(scope.map(i => [i, cloneHistoryData(shapes[i])])),
+        thrustersBefore: JSON.stringify(thrusters), // Small, so always kept whole
+        proceduralBefore: JSON.stringify(proceduralParams),
+        selectionBefore: captureSelection()
+    };
+}
+
+function commitHistoryStep() {
+    // Diffs the open step against the current shapes and records it (if anything changed)
+    let step = openHistoryStep;
+    if (!step) return;
+    openHistoryStep = null;
+    editRevision++;
     try {
-        // Basic Validation before saving (optional but good practice)
-        for (const shape of shapes) {
-            if (!shape || !Array.isArray(shape.vertexData) || !Array.isArray(shape.fillColor) || shape.fillColor.length !== 3 || !Array.isArray(shape.strokeColor) || shape.strokeColor.length !== 3 || typeof shape.strokeW !== 'number') {
-                console.error("UNDO SAVE ERROR: Invalid shape structure detected before saving state.", shape);
-                return;
-            }
-            for (const vert of shape.vertexData) {
-                if (typeof vert?.x !== 'number' || typeof vert?.y !== 'number' || isNaN(vert.x) || isNaN(vert.y)) {
-                    console.error("UNDO SAVE ERROR: Invalid vertex data detected before saving state.", vert);
-                    return;
-                }
-            }
-            if (shape.fillColor.some(isNaN) || shape.strokeColor.some(isNaN)) {
-                console.error("UNDO SAVE ERROR: NaN found in color data.", shape.fillColor, shape.strokeColor);
+        let changes = step.scope === null ? diffAllLayers(step.before) : diffScopedLayers(step.before);
+        if (JSON.stringify(thrusters) !== step.thrustersBefore) {
+            changes.push({ type: 'thrusters', before: JSON.parse(step.thrustersBefore), after: cloneHistoryData(thrusters) });
+        }
+        if (JSON.stringify(proceduralParams) !== step.proceduralBefore) {
+            changes.push({ type: 'procedural', before: JSON.parse(step.proceduralBefore), after: cloneHistoryData(proceduralParams) });
+        }
+        if (changes.length === 0) return; // e.g. a click that didn't move anything
+        forgetPivotVertexIfMoved(changes);
+
+        // Basic validation of what is being recorded
+        for (let i = 0; i < shapes.length; i++) {
+            let problem = changes.some(c => c.layer === i || c.index === i || c.type === 'replaceAll') ? validateShapeLayer(shapes[i]) : null;
+            if (problem) {
+                console.error(`UNDO SAVE ERROR: Invalid shape structure detected (${problem}), step '${step.label}' not recorded.`, shapes[i]);
                 return;
             }
         }
 
-        const stateCopy = JSON.parse(JSON.stringify(shapes)); // Deep copy
-        const stateToSave = stateCopy;
-
-        historyStack.push(stateToSave);
+        historyStack.push({ label: step.label, changes: changes, selectionBefore: step.selectionBefore, selectionAfter: captureSelection() });
+        redoStack = []; // A new action invalidates anything that was undone
+        projectDirty = true; // Every edit passes through here
 
         // Limit history size
         if (historyStack.length > maxHistorySize) {
-            historyStack.shift(); // Remove the oldest state
+            historyStack.shift(); // Remove the oldest step
         }
-        updateUIControls(); // Update button states (enable undo)
     } catch (e) {
         console.error("Error saving state for undo:", e);
-        historyStack = []; // Clear history on catastrophic save failure
-        updateUIControls();
+        clearHistory(); // Clear history on catastrophic save failure
     }
+    updateUIControls(); // Update button states (enable undo) and the history list
 }
 
-function undoLastChange() {
-    if (historyStack.length === 0) {
-        console.log("Nothing to undo.");
-        return;
+function discardHistoryStep() {
+    // Drops the open step without recording it (shapes are left as they are)
+    openHistoryStep = null;
+}
+
+function cancelHistoryStep() {
+    // Reverts shapes to how they were when the open step began, and drops the step
+    let step = openHistoryStep;
+    if (!step) return;
+    openHistoryStep = null;
+    editRevision++;
+    if (step.scope === null) {
+        shapes = step.before.map(json => JSON.parse(json));
+    } else {
+        step.before.forEach((layer, i) => { if (i < shapes.length) shapes[i] = cloneHistoryData(layer); });
     }
+    thrusters = JSON.parse(step.thrustersBefore);
+    proceduralParams = JSON.parse(step.proceduralBefore);
+    applySelection(step.selectionBefore);
+    updateUIControls(); updateColorPickersFromSelection();
+}
 
-    try {
-        const previousState = historyStack.pop();
-        let restoredShapes = JSON.parse(JSON.stringify(previousState)); // Deep copy
+function recordHistoryStep(label, layerIndices, applyChange) {
+    // Convenience for one-shot edits: begin, run applyChange(), commit
+    beginHistoryStep(label, layerIndices);
+    applyChange();
+    commitHistoryStep();
+}
 
-        // --- Validate restored state ---
-        let isValidState = true;
-        if (!Array.isArray(restoredShapes)) {
-            isValidState = false; console.error("UNDO RESTORE ERROR: Restored state is not an array.");
-        } else {
-            for (let i = 0; i < restoredShapes.length; i++) {
-                const shape = restoredShapes[i];
-                let shapeValid = true;
-                if (!shape) { shapeValid = false; console.error(`UNDO RESTORE ERROR: Shape at index ${i} is null/undefined.`); }
-                else if (!Array.isArray(shape.vertexData)) { shapeValid = false; console.error(`UNDO RESTORE ERROR: vertexData missing or not array at index ${i}.`); }
-                else if (!Array.isArray(shape.fillColor) || shape.fillColor.length !== 3) { shapeValid = false; console.error(`UNDO RESTORE ERROR: fillColor invalid at index ${i}.`, shape.fillColor); }
-                else if (!Array.isArray(shape.strokeColor) || shape.strokeColor.length !== 3) { shapeValid = false; console.error(`UNDO RESTORE ERROR: strokeColor invalid at index ${i}.`, shape.strokeColor); }
-                else if (typeof shape.strokeW !== 'number') { shapeValid = false; console.error(`UNDO RESTORE ERROR: strokeW invalid at index ${i}.`, shape.strokeW); }
-                else {
-                    for (let j = 0; j < shape.vertexData.length; j++) {
-                        const vert = shape.vertexData[j];
-                        if (!vert || typeof vert.x !== 'number' || typeof vert.y !== 'number' || isNaN(vert.x) || isNaN(vert.y)) {
-                            shapeValid = false; console.error(`UNDO RESTORE ERROR: Invalid vertex at shape[${i}], vertex[${j}]:`, vert); break;
-                        }
-                    }
-                    if (shape.fillColor.some(isNaN) || shape.strokeColor.some(isNaN)) {
-                        shapeValid = false; console.error(`UNDO RESTORE ERROR: NaN found in color data at index ${i}.`, shape.fillColor, shape.strokeColor);
-                    }
-                }
-                if (!shapeValid) { isValidState = false; break; }
-            }
-        }
+function diffScopedLayers(beforeLayers) {
+    let changes = [];
+    beforeLayers.forEach((before, i) => {
+        if (i < shapes.length) changes.push(...diffLayer(i, before, shapes[i]));
+    });
+    return changes;
+}
+
+function diffAllLayers(beforeJson) {
+    let afterJson = shapes.map(layer => JSON.stringify(layer));
+    let changes = [];
+    if (afterJson.length === beforeJson.length) {
+        afterJson.forEach((json, i) => {
+            if (json !== beforeJson[i]) changes.push(...diffLayer(i, JSON.parse(beforeJson[i]), shapes[i]));
+        });
+        return changes;
+    }
+    // Look for a single inserted or removed layer, otherwise store both arrays
+    let first = 0;
+    while (first < beforeJson.length && first < afterJson.length && beforeJson[first] === afterJson[first]) first++;
+    if (afterJson.length === beforeJson.length + 1 && afterJson.slice(first + 1).join('\n') === beforeJson.slice(first).join('\n')) {
+        return [{ type: 'insert', index: first, layer: JSON.parse(afterJson[first]) }];
+    }
+    if (afterJson.length === beforeJson.length - 1 && afterJson.slice(first).join('\n') === beforeJson.slice(first + 1).join('\n')) {
+        return [{ type: 'remove', index: first, layer: JSON.parse(beforeJson[first]) }];
+    }
+    return [{ type: 'replaceAll', before: beforeJson.map(json => JSON.parse(json)), after: afterJson.map(json => JSON.parse(json)) }];
+}
 
-        if (!isValidState) {
-            console.error("Undo failed: Restored state is invalid. History might be corrupted.");
-            historyStack = []; // Clear corrupted history
-            updateUIControls();
-            return; // Stop the undo operation
+function diffLayer(layerIndex, before, after) {
+    // Smallest change(s) turning 'before' into 'after' for one layer
+    let beforeVerts = before.vertexData || []; let afterVerts = after.vertexData || [];
+    if (beforeVerts.length !== afterVerts.length) {
+        return [{ type: 'layer', layer: layerIndex, before: cloneHistoryData(before), after: cloneHistoryData(after) }];
+    }
+    let changes = [];
+    let indices = [];
+    for (let j = 0; j < afterVerts.length; j++) {
+        if (JSON.stringify(beforeVerts[j]) !== JSON.stringify(afterVerts[j])) indices.push(j);
+    }
+    if (indices.length > 0) {
+        changes.push({ type: 'vertices', layer: layerIndex, indices: indices,
+            before: indices.map(j => cloneHistoryData(beforeVerts[j])), after: indices.map(j => cloneHistoryData(afterVerts[j])) });
+    }
+    let propsBefore = {}; let propsAfter = {}; let propsChanged = false;
+    for (let key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (key === 'vertexData') continue;
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            propsBefore[key] = cloneHistoryData(before[key]); propsAfter[key] = cloneHistoryData(after[key]);
+            propsChanged = true;
         }
+    }
+    if (propsChanged) changes.push({ type: 'props', layer: layerIndex, before: propsBefore, after: propsAfter });
+    return changes;
+}
+
+function applyHistoryChange(change, useAfter) {
+    // Applies one change in either direction (useAfter: true = redo, false = undo)
+    let side = useAfter ? 'after' : 'before';
+    switch (change.type) {
+        case 'vertices':
+            change.indices.forEach((j, k) => { shapes[change.layer].vertexData[j] = cloneHistoryData(change[side][k]); });
+            break;
+        case 'props':
+            for (let key in change[side]) {
+                if (change[side][key] === undefined) delete shapes[change.layer][key];
+                else shapes[change.layer][key] = cloneHistoryData(change[side][key]);
+            }
+            break;
+        case 'layer':
+            shapes[change.layer] = cloneHistoryData(change[side]);
+            break;
+        case 'insert':
+            if (useAfter) shapes.splice(change.index, 0, cloneHistoryData(change.layer)); else shapes.splice(change.index, 1);
+            break;
+        case 'remove':
+            if (useAfter) shapes.splice(change.index, 1); else shapes.splice(change.index, 0, cloneHistoryData(change.layer));
+            break;
+        case 'replaceAll':
+            shapes = cloneHistoryData(change[side]);
+            break;
+        case 'thrusters':
+            thrusters = cloneHistoryData(change[side]);
+            break;
+        case 'procedural':
+            proceduralParams = cloneHistoryData(change[side]);
+            break;
+        default:
+            throw new Error(`Unknown history change type '${change.type}'`);
+    }
+}
+
+function cloneHistoryData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value)); // Deep copy
+}
+
+function captureSelection() {
+    let otherLayerVertices = [...crossLayerSelection].map(([shape, indices]) => [shapes.indexOf(shape), [...indices]]).filter(([i]) => i !== -1);
+    return { shapeIndex: selectedShapeIndex, vertexIndices: [...selectedVertexIndices], otherLayerVertices, thrusterIndex: selectedThrusterIndex };
+}
+
+function applySelection(sel) {
+    // Restores a captured selection, dropping anything that no longer exists
+    sel = sel || { shapeIndex: -1, vertexIndices: [] };
+    selectedShapeIndex = sel.shapeIndex >= 0 && sel.shapeIndex < shapes.length ? sel.shapeIndex : -1;
+    selectedVertexIndices = selectedShapeIndex === -1 ? [] :
+        sel.vertexIndices.filter(idx => idx >= 0 && idx < shapes[selectedShapeIndex].vertexData.length);
+    crossLayerSelection = new Map((sel.otherLayerVertices || []).filter(([i]) => shapes[i]).map(([i, indices]) => [shapes[i], indices]));
+    selectedThrusterIndex = sel.thrusterIndex >= 0 && sel.thrusterIndex < thrusters.length ? sel.thrusterIndex : -1;
+    ensureMirrorLinks(selectedShapeIndex); // The restored layer may predate symmetry mode
+}
+
+function clearHistory() {
+    historyStack = []; redoStack = [];
+    openHistoryStep = null;
+    updateUIControls();
+}
+
+function stepThroughHistory(fromStack, toStack, useAfter) {
+    // Shared undo/redo: applies the top step of fromStack and moves it to toStack
+    commitHistoryStep(); // Close any open gesture (e.g. colour picker) first
+    editRevision++;
+    if (fromStack.length === 0) {
+        console.log(useAfter ? "Nothing to redo." : "Nothing to undo.");
+        return;
+    }
 
-        // Apply the validated state
-        shapes = restoredShapes;
+    try {
+        const step = fromStack.pop();
+        let changes = useAfter ? step.changes : [...step.changes].reverse();
+        changes.forEach(change => applyHistoryChange(change, useAfter));
+        forgetPivotVertexIfMoved(changes);
+        toStack.push(step);
+        projectDirty = true;
 
-        // Reset selections and interaction modes
-        selectedShapeIndex = -1;
-        selectedVertexIndices = [];
+        // Restore the selection that was active at that step and reset interaction modes
+        applySelection(useAfter ? step.selectionAfter : step.selectionBefore);
         addingVertexMode = false;
         draggingVertex = false;
         draggingShape = false;
         dragOccurred = false;
 
-        console.log("Undo successful. History size:", historyStack.length);
+        console.log(`${useAfter ? 'Redo' : 'Undo'} '${step.label}' successful. History size:`, historyStack.length);
         updateUIControls(); // Update button states (disable undo if empty)
-        updateColorPickersFromSelection(); // Update UI based on the now *deselected* state
+        updateColorPickersFromSelection(); // Update UI based on the restored selection
 
     } catch (e) {
-        console.error("Error during undo operation:", e);
-        historyStack = []; // Clear history on error
-        updateUIControls();
+        console.error(`Error during ${useAfter ? 'redo' : 'undo'} operation. History might be corrupted:`, e);
+        clearHistory(); // Clear history on error
+    }
+}
+
+function undoLastChange() {
+    stepThroughHistory(historyStack, redoStack, false);
+}
+
+function redoLastChange() {
+    stepThroughHistory(redoStack, historyStack, true);
+}
+
+function jumpToHistoryPosition(position) {
+    // position = number of actions applied (0 = before the oldest remembered action)
+    historyPanelSuspended = true;
+    try {
+        while (historyStack.length > position && historyStack.length > 0) {
+            let sizeBefore = historyStack.length;
+            undoLastChange();
+            if (historyStack.length === sizeBefore) break; // Undo failed
+        }
+        while (historyStack.length < position && redoStack.length > 0) {
+            let sizeBefore = historyStack.length;
+            redoLastChange();
+            if (historyStack.length === sizeBefore) break; // Redo failed
+        }
+    } finally {
+        historyPanelSuspended = false;
+    }
+    updateHistoryPanel();
+}
+
+function updateHistoryPanel() {
+    // The clickable history list: start state, done actions, then undone (redoable) actions.
+    // Rows are rebuilt only when the labels change; undo/redo just moves the 'current'/'undone' classes.
+    if (!historyList || historyPanelSuspended) return;
+    let labels = ['Start'];
+    historyStack.forEach(entry => labels.push(entry.label));
+    for (let i = redoStack.length - 1; i >= 0; i--) labels.push(redoStack[i].label);
+
+    let signature = JSON.stringify(labels);
+    if (signature !== historyPanelSignature) {
+        historyPanelSignature = signature;
+        historyRows.forEach(row => row.remove()); // Also drops them from p5's element list
+        historyRows = labels.map((label, position) => {
+            let item = createElement('li', label);
+            item.parent(historyList);
+            item.mousePressed(() => jumpToHistoryPosition(position));
+            return item;
+        });
     }
+    historyRows.forEach((row, position) => {
+        if (position === historyStack.length) row.addClass('current'); else row.removeClass('current');
+        if (position > historyStack.length) row.addClass('undone'); else row.removeClass('undone');
+    });
 }
 
 // --- Helper Function to Calculate Scale ---
@@ -230,33 +839,120 @@ function calculateScale() {
     pixelsPerUnit = baseDisplaySize / maxDefinedShipSize;
 }
 
+// --- Ship Size Helpers ---
+function getShipDrawSize() {
+    // On-screen size 's' (pixels) of the ship being edited, from its size stat; 0 if nothing is loaded
+    if (!currentShipDef && currentShipKey !== '--- New Blank ---') return 0;
+    let size = currentShipStats.size > 0 ? currentShipStats.size : (currentShipDef?.size || blankShipSize);
+    return size * pixelsPerUnit;
+}
+
+function getInteractionRadius() {
+    // Pixels per relative vertex unit (r = s / 2), with a fallback so clicks still map when nothing is loaded
+    let s = getShipDrawSize();
+    return s > 0 ? s / 2 : baseDisplaySize / (maxDefinedShipSize * 2);
+}
+
 // --- Zoom Functions ---
 function zoomIn() {
-    baseDisplaySize = min(baseDisplaySize * zoomFactor, maxBaseDisplaySize);
-    calculateScale();
+    zoomAt(zoomFactor, width / 2, height / 2);
 }
 function zoomOut() {
-    baseDisplaySize = max(baseDisplaySize / zoomFactor, minBaseDisplaySize);
+    zoomAt(1 / zoomFactor, width / 2, height / 2);
+}
+
+function zoomAt(factor, screenX, screenY) {
+    // Zooms by 'factor' (clamped to the zoom limits) keeping the point under (screenX, screenY) in place
+    let newSize = constrain(baseDisplaySize * factor, minBaseDisplaySize, maxBaseDisplaySize);
+    let applied = newSize / baseDisplaySize;
+    viewPanX = screenX - (screenX - viewOriginX()) * applied - width / 2;
+    viewPanY = screenY - (screenY - viewOriginY()) * applied - height / 2;
+    baseDisplaySize = newSize;
+    calculateScale();
+    updateZoomReadout();
+}
+
+function mouseWheel(event) {
+    if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return; // Let the page scroll
+    if (flightMode) {
+        flightViewScale = constrain(flightViewScale * Math.pow(wheelZoomFactor, -event.delta / 100), minFlightViewScale, maxFlightViewScale);
+        return false;
+    }
+    zoomAt(Math.pow(wheelZoomFactor, -event.delta / 100), mouseX, mouseY);
+    return false; // Don't scroll the page while zooming
+}
+
+function fitShipToView() {
+    // Zooms and pans so the visible layers, thrusters (or procedural ship) fill the canvas
+    let bounds = getDesignBounds();
+    let r = getInteractionRadius();
+    if (!bounds || r <= 0) { resetView(); return; }
+    let boxWidth = max(bounds.maxX - bounds.minX, 0.01) * r, boxHeight = max(bounds.maxY - bounds.minY, 0.01) * r;
+    let factor = min((width - 2 * fitViewMargin) / boxWidth, (height - 2 * fitViewMargin) / boxHeight);
+    baseDisplaySize = constrain(baseDisplaySize * factor, minBaseDisplaySize, maxBaseDisplaySize);
     calculateScale();
+    r = getInteractionRadius();
+    viewPanX = -(bounds.minX + bounds.maxX) / 2 * r;
+    viewPanY = -(bounds.minY + bounds.maxY) / 2 * r;
+    updateZoomReadout();
+}
+
+function resetView() {
+    baseDisplaySize = defaultBaseDisplaySize;
+    viewPanX = 0; viewPanY = 0;
+    calculateScale();
+    updateZoomReadout();
+}
+
+function getDesignBounds() {
+    // Bounding box { minX, maxX, minY, maxY } (relative units) of what is drawn, or null if nothing is
+    let points = [];
+    if (isProceduralSelected()) {
+        let extent = getSpriteExtent([], [], proceduralParams);
+        points.push({ x: -extent, y: -extent }, { x: extent, y: extent });
+    }
+    for (let shape of shapes) if (!shape.hidden) points.push(...flattenOutline(shape.vertexData || []));
+    for (let t of thrusters) points.push({ x: t.x - t.rx, y: t.y - t.ry }, { x: t.x + t.rx, y: t.y + t.ry });
+    if (points.length === 0) return null;
+    return {
+        minX: Math.min(...points.map(p => p.x)), maxX: Math.max(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)), maxY: Math.max(...points.map(p => p.y))
+    };
+}
+
+function updateZoomReadout() {
+    if (zoomReadoutSpan) zoomReadoutSpan.html(`${Math.round(baseDisplaySize / defaultBaseDisplaySize * 100)}%`);
+}
+
+// --- Pan Functions ---
+function viewOriginX() { return width / 2 + viewPanX; } // Screen position of the ship's origin
+function viewOriginY() { return height / 2 + viewPanY; }
+
+function startPanning() {
+    panning = { startX: mouseX, startY: mouseY, panX: viewPanX, panY: viewPanY };
+    cursor('grabbing');
+}
+
+function stopPanning() {
+    panning = null;
+    cursor(ARROW);
 }
 
 // --- Main Drawing Loop ---
 function draw() {
+    if (flightMode) { drawTestFlight(); return; } // The flight view replaces the editor
     background(240); // Clear background
     push(); // Isolate transformations
-    translate(width / 2, height / 2); // Center origin
+    translate(viewOriginX(), viewOriginY()); // Ship origin (canvas centre, moved by panning)
+
+    if (backdrop && backdropImage) drawBackdrop(); // Beneath the grid
 
     // Draw Grid
-    drawGrid(pixelsPerUnit, gridSpacing);
+    drawGrid(pixelsPerUnit, gridSpacing, gridSubdivisions);
+    if (symmetryMode) { stroke(255, 0, 150, 140); strokeWeight(1.5); line(-viewOriginX(), 0, width - viewOriginX(), 0); } // Mirror axis
 
-    // Determine the drawing size based on loaded definition or fallback
-    let actualDrawSize_s = 0;
-    if (currentShipDef) {
-        actualDrawSize_s = (currentShipDef.size || 1) * pixelsPerUnit;
-    } else if (shapes.length > 0 && currentShipKey === '--- New Blank ---') {
-        // Use a fixed size for blank ships relative to max size for consistent initial editing
-        actualDrawSize_s = baseDisplaySize * (50 / maxDefinedShipSize);
-    }
+    // Determine the drawing size from the ship's (editable) size stat
+    let actualDrawSize_s = getShipDrawSize();
 
     // Display placeholder text if nothing is loaded/created
     if (!currentShipDef && shapes.length === 0 && currentShipKey !== '--- New Blank ---') {
@@ -272,13 +968,18 @@ function draw() {
         let scaled_r = actualDrawSize_s / 2;
         let drawing_r = scaled_r > 0 ? scaled_r : baseDisplaySize / (maxDefinedShipSize * 2); // Fallback radius for blank start
 
-        // Draw Thargoid (non-editable) or Editable Shapes
-        if (isThargoidSelected()) {
-            SHIP_DEFINITIONS.Thargoid.drawFunction(actualDrawSize_s, false);
+        if (referenceShips.length > 0) drawReferenceShips(drawing_r); // Beneath the design, so its handles stay on top
+
+        // Draw a procedural ship (animated from its parameters) or Editable Shapes
+        if (isProceduralSelected()) {
+            push(); ellipseMode(CENTER); // ships.js draws with the game's default ellipse mode
+            drawProceduralShip(drawing_r, proceduralParams);
+            pop();
+            if (thrustPreview) drawThrusters(drawing_r);
         } else { // Draw Editable Shapes
             for (let i = shapes.length - 1; i >= 0; i--) { // Draw bottom layers first
                 let shape = shapes[i];
-                if (shape && shape.vertexData && shape.vertexData.length > 1) {
+                if (shape && !shape.hidden && shape.vertexData && shape.vertexData.length > 1) {
                     fill(shape.fillColor[0], shape.fillColor[1], shape.fillColor[2]);
                     stroke(shape.strokeColor[0], shape.strokeColor[1], shape.strokeColor[2]);
                     // Scale stroke weight relative to base definition size, prevent zero/negative
@@ -289,18 +990,15 @@ function draw() {
                         strokeWeight(max(1, scaledStrokeW) + 2); stroke(0, 150, 255, 200);
                     }
                     beginShape();
-                    for (let v of shape.vertexData) {
-                        if (typeof v?.x === 'number' && typeof v?.y === 'number') {
-                            vertex(v.x * drawing_r, v.y * drawing_r); // Scale relative coords
-                        }
-                    }
+                    drawOutlineVertices(drawing_r, shape.vertexData); // Scaled relative coords; curved edges as bezierVertex() (ships.js)
                     endShape(CLOSE);
                 }
             }
+            if (thrustPreview || thrusterEditMode) drawThrusters(drawing_r);
         }
 
         // Draw Vertex Handles for the selected shape (if editable)
-        if (selectedShapeIndex !== -1 && selectedShapeIndex < shapes.length && !isThargoidSelected()) {
+        if (isLayerEditable(selectedShapeIndex) && !thrusterEditMode) {
             let selectedShape = shapes[selectedShapeIndex];
             if (selectedShape && selectedShape.vertexData && drawing_r > 0) {
                 for (let i = 0; i < selectedShape.vertexData.length; i++) {
@@ -316,6 +1014,11 @@ function draw() {
                 }
             }
         }
+        if (isLayerEditable(selectedShapeIndex) && !thrusterEditMode && drawing_r > 0) drawCurveHandles(drawing_r);
+        if (crossLayerSelect && !thrusterEditMode && drawing_r > 0) drawCrossLayerHandles(drawing_r);
+        if (marquee && dragOccurred) drawMarquee();
+        if (transformMode && isLayerEditable(selectedShapeIndex) && !thrusterEditMode && drawing_r > 0) drawTransformGizmo(drawing_r);
+        if (activeSnap && drawing_r > 0) drawSnapCue(activeSnap, drawing_r);
     } else if (currentShipKey !== '--- New Blank ---') {
         pop(); textAlign(CENTER, CENTER); textSize(16); fill(150);
         text("Select a ship or 'New Blank'", width / 2, height / 2);
@@ -325,152 +1028,630 @@ function draw() {
 }
 
 // --- Grid Drawing Function ---
-function drawGrid(ppu, spacing) {
+function drawGrid(ppu, spacing, subdivisions = 1) {
     let pixelSpacing = spacing * ppu; // Correct calculation
+    let minorSpacing = pixelSpacing / subdivisions;
+    if (subdivisions > 1 && minorSpacing >= 4) { stroke(220, 220, 220, 120); strokeWeight(0.5); drawGridLines(minorSpacing); }
     if (pixelSpacing < 4) return; // Avoid overly dense grid
 
-    stroke(200, 200, 200, 150); strokeWeight(0.5);
-    let halfWidth = width / 2; let halfHeight = height / 2;
-    // Draw lines outwards from the center
-    for (let x = 0; x <= halfWidth + pixelSpacing; x += pixelSpacing) { line(x, -halfHeight, x, halfHeight); if (x !== 0) line(-x, -halfHeight, -x, halfHeight); }
-    for (let y = 0; y <= halfHeight + pixelSpacing; y += pixelSpacing) { line(-halfWidth, y, halfWidth, y); if (y !== 0) line(-halfWidth, -y, halfWidth, -y); }
+    stroke(200, 200, 200, 150); strokeWeight(subdivisions > 1 ? 0.8 : 0.5);
+    drawGridLines(pixelSpacing);
+}
+
+function drawGridLines(pixelSpacing) {
+    // Lines through the origin and every 'pixelSpacing' out to the (panned) canvas edges
+    let left = -viewOriginX(), right = width - viewOriginX();
+    let top = -viewOriginY(), bottom = height - viewOriginY();
+    for (let x = Math.ceil(left / pixelSpacing) * pixelSpacing; x <= right; x += pixelSpacing) line(x, top, x, bottom);
+    for (let y = Math.ceil(top / pixelSpacing) * pixelSpacing; y <= bottom; y += pixelSpacing) line(left, y, right, y);
+}
+
+function updateGridSettings() {
+    // Reads the grid / snap inputs; values that aren't positive numbers are ignored until corrected
+    let spacing = parseFloat(gridSpacingInput.value());
+    let subdivisions = parseInt(gridSubdivisionsInput.value(), 10);
+    let tolerance = parseFloat(snapToleranceInput.value());
+    if (isFinite(spacing) && spacing > 0) gridSpacing = spacing;
+    if (isFinite(subdivisions) && subdivisions >= 1) gridSubdivisions = min(subdivisions, 20);
+    if (isFinite(tolerance) && tolerance > 0) snapTolerance = tolerance;
+}
+
+// --- Snapping Functions ---
+// Points are in relative units (r = pixels per unit). Magnetic targets (vertices, then edges of other
+// visible layers within snapTolerance screen pixels) win over grid points. Holding ALT bypasses snapping.
+
+function snapPoint(x, y, r, excludeLayerIndices = []) {
+    // Returns the snapped { x, y, kind: 'vertex' | 'edge' | 'grid' }, or null if nothing applies
+    if (r <= 0 || keyIsDown(ALT)) return null;
+    if (snapToShapes) {
+        let toleranceSq = (snapTolerance / r) ** 2;
+        let best = null, bestDistSq = toleranceSq;
+        shapes.forEach((shape, i) => {
+            if (excludeLayerIndices.includes(i) || shape?.hidden || !shape?.vertexData) return;
+            for (let v of shape.vertexData) {
+                let d = distSq(x, y, v.x, v.y);
+                if (d < bestDistSq) { bestDistSq = d; best = { x: v.x, y: v.y, kind: 'vertex' }; }
+            }
+        });
+        if (best) return best;
+        shapes.forEach((shape, i) => {
+            if (excludeLayerIndices.includes(i) || shape?.hidden || !shape?.vertexData || shape.vertexData.length < 2) return;
+            shape.vertexData.forEach((_, j) => {
+                let p = closestPointOnEdge(shape.vertexData, j, x, y); // Follows curved edges
+                if (p.distSq < bestDistSq) { bestDistSq = p.distSq; best = { x: p.x, y: p.y, kind: 'edge' }; }
+            });
+        });
+        if (best) return best;
+    }
+    if (snapToGrid) {
+        let step = (gridSpacing / gridSubdivisions) * pixelsPerUnit / r; // Grid point spacing in relative units
+        if (step > 0) return { x: Math.round(x / step) * step, y: Math.round(y / step) * step, kind: 'grid' };
+    }
+    return null;
+}
+
+function snapDragDelta(deltaRelX, deltaRelY, r) {
+    // Adjusts a drag's relative delta so its anchor vertex lands on a snap target. Only the free axis
+    // snaps while Shift locks the drag to one; sets activeSnap for the cue.
+    activeSnap = null;
+    if (!dragSnapAnchor) return { x: deltaRelX, y: deltaRelY };
+    let movingLayers = [selectedShapeIndex, ...dragVertexInitialPositions.filter(p => p.shape).map(p => shapes.indexOf(p.shape))];
+    let snap = snapPoint(dragSnapAnchor.x + deltaRelX, dragSnapAnchor.y + deltaRelY, r, movingLayers);
+    if (!snap) return { x: deltaRelX, y: deltaRelY };
+    if (dragConstrainedAxis !== 'y') deltaRelX = snap.x - dragSnapAnchor.x;
+    if (dragConstrainedAxis !== 'x') deltaRelY = snap.y - dragSnapAnchor.y;
+    activeSnap = { x: dragSnapAnchor.x + deltaRelX, y: dragSnapAnchor.y + deltaRelY, kind: snap.kind };
+    return { x: deltaRelX, y: deltaRelY };
+}
+
+function drawSnapCue(snap, r) {
+    // Ring + cross where a snap engaged: magenta on a vertex, orange on an edge, green on the grid
+    let c = snap.kind === 'vertex' ? [220, 0, 180] : snap.kind === 'edge' ? [255, 140, 0] : [0, 170, 80];
+    let sx = snap.x * r, sy = snap.y * r;
+    noFill(); stroke(c[0], c[1], c[2]); strokeWeight(1.5);
+    ellipse(sx, sy, vertexHandleSize, vertexHandleSize);
+    line(sx - vertexHandleSize * 1.5, sy, sx + vertexHandleSize * 1.5, sy);
+    line(sx, sy - vertexHandleSize * 1.5, sx, sy + vertexHandleSize * 1.5);
+}
+
+// --- Test Flight Functions ---
+// The design flies as in the game: speeds are game pixels per frame, thrust is added along the nose (+X)
+// each frame it is held, and the turn rate is degrees per frame. The camera follows the ship over a
+// parallax starfield. Handling comes from the stats form, so edits there apply while flying.
+
+function toggleTestFlight() {
+    if (flightMode) { stopTestFlight(); return; }
+    if (!getCurrentSpriteSource()) { alert("Nothing to fly: load a ship or add a layer first."); return; }
+    // Leave any gesture in progress so the editor is as it was when the flight ends
+    if (draggingVertex || draggingShape || draggingThruster || transformDrag || draggingCurveHandle) handleEscapeKey();
+    marquee = null; addingVertexMode = false; activeSnap = null;
+    if (panning) stopPanning();
+    if (starfield.length === 0) starfield = createStarfield();
+    resetFlight();
+    flightMode = true;
+    updateUIControls();
+}
+
+function hasFlyableDesign() {
+    // Cheap stand-in for getCurrentSpriteSource() !== null, for the per-frame button state
+    return shapes.length > 0 || !!proceduralParams || !!getLoadedBaseDefinition();
+}
+
+function stopTestFlight() {
+    flightMode = false;
+    flight = null; flightSource = null;
+    updateUIControls();
+}
+
+function resetFlight() {
+    flight = { x: 0, y: 0, vx: 0, vy: 0, heading: -90, thrusting: false, braking: false }; // Start nose up
+    flightSource = getCurrentSpriteSource();
+}
+
+function createStarfield() {
+    let stars = [];
+    for (let i = 0; i < starfieldStarCount; i++) {
+        stars.push({ x: random(starfieldTileSize), y: random(starfieldTileSize), depth: random(0.15, 1), bright: random(90, 255) });
+    }
+    return stars;
+}
+
+function getFlightStats() {
+    // Handling of the design: the stats being edited, else the loaded definition's, else the blank ship defaults
+    let defaults = defaultBlankShipStats();
+    let pick = field => currentShipStats[field] > 0 ? currentShipStats[field] : (currentShipDef?.[field] > 0 ? currentShipDef[field] : defaults[field]);
+    return { maxSpeed: pick('baseMaxSpeed'), thrust: pick('baseThrust'), turnRate: pick('baseTurnRateDegrees') };
+}
+
+function updateFlight(stats) {
+    // Advances the ship one game frame from the held keys (ignored while typing in the stats form)
+    let typing = isTypingInFormField();
+    let held = (...codes) => !typing && codes.some(code => keyIsDown(code));
+    if (held(LEFT_ARROW, 65)) flight.heading -= stats.turnRate; // A
+    if (held(RIGHT_ARROW, 68)) flight.heading += stats.turnRate; // D
+    flight.heading = ((flight.heading % 360) + 360) % 360;
+    flight.thrusting = held(UP_ARROW, 87); // W
+    flight.braking = held(DOWN_ARROW, 83); // S
+
+    if (flight.thrusting) {
+        let a = radians(flight.heading);
+        flight.vx += Math.cos(a) * stats.thrust;
+        flight.vy += Math.sin(a) * stats.thrust;
+    }
+    let speed = Math.hypot(flight.vx, flight.vy);
+    if (flight.braking && speed > 0) { // Retro thrust against the direction of travel, down to a stop
+        let factor = Math.max(0, speed - stats.thrust) / speed;
+        flight.vx *= factor; flight.vy *= factor;
+        speed *= factor;
+    }
+    if (speed > stats.maxSpeed) {
+        flight.vx *= stats.maxSpeed / speed; flight.vy *= stats.maxSpeed / speed;
+    }
+    flight.x += flight.vx;
+    flight.y += flight.vy;
+}
+
+function drawTestFlight() {
+    background(0);
+    let source = flightSource;
+    if (!source) {
+        textAlign(CENTER, CENTER); textSize(16); fill(150); noStroke();
+        text("Nothing to fly: load a ship or add a layer", width / 2, height / 2);
+        return;
+    }
+    let stats = getFlightStats();
+    updateFlight(stats);
+    drawStarfield(flight.x * flightViewScale, flight.y * flightViewScale);
+
+    push();
+    translate(width / 2, height / 2); // The camera follows the ship
+    scale(flightViewScale);
+    rotate(flight.heading); // angleMode(DEGREES)
+    ellipseMode(CENTER); // ships.js draws with the game's default ellipse mode
+    source.draw(source.shipSize, flight.thrusting);
+    pop();
+
+    drawFlightReadouts(stats);
+}
+
+function drawStarfield(cameraX, cameraY) {
+    // Nearer stars (higher depth) scroll faster and are drawn bigger
+    noStroke();
+    for (let star of starfield) {
+        let x = ((star.x - cameraX * star.depth) % starfieldTileSize + starfieldTileSize) % starfieldTileSize;
+        let y = ((star.y - cameraY * star.depth) % starfieldTileSize + starfieldTileSize) % starfieldTileSize;
+        if (x > width || y > height) continue;
+        fill(star.bright);
+        rect(x, y, star.depth * 2, star.depth * 2);
+    }
+}
+
+function drawFlightReadouts(stats) {
+    let speed = Math.hypot(flight.vx, flight.vy);
+    let lines = [
+        `Speed   ${speed.toFixed(2)} / ${stats.maxSpeed} px/frame (${Math.round(speed / stats.maxSpeed * 100)}%)`,
+        `Heading ${Math.round(flight.heading)}\u00b0${flight.thrusting ? '   THRUST' : ''}${flight.braking ? '   BRAKE' : ''}`,
+        `Thrust  ${stats.thrust} px/frame\u00b2   Turn ${stats.turnRate}\u00b0/frame`,
+        `0 to max ${(stats.maxSpeed / stats.thrust / flightFrameRate).toFixed(1)} s   Full turn ${(360 / stats.turnRate / flightFrameRate).toFixed(1)} s`,
+        `View ${Math.round(flightViewScale * 100)}%`
+    ];
+    push();
+    textFont('monospace'); textSize(12); textAlign(LEFT, TOP); noStroke();
+    fill(0, 0, 0, 150); rect(6, 6, 300, lines.length * 15 + 8);
+    fill(120, 255, 140);
+    lines.forEach((row, i) => text(row, 12, 10 + i * 15));
+    textAlign(CENTER, BOTTOM); fill(160);
+    text("\u2190/\u2192 or A/D turn   \u2191/W thrust   \u2193/S brake   R reset   wheel zoom   Esc exit", width / 2, height - 8);
+    pop();
+}
+
+function handleFlightKey() {
+    if (keyCode === ESCAPE && shortcutOverlay && shortcutOverlay.elt.style.display !== 'none') toggleShortcutOverlay();
+    else if (keyCode === ESCAPE) stopTestFlight();
+    else if (key === 'r' || key === 'R') resetFlight();
+    return false; // Arrow keys steer rather than scroll the page
+}
+
+// --- Backdrop Image Functions ---
+// A local image (e.g. concept art) drawn under the grid to trace over. It is placed in world units around
+// the ship's origin, so it pans and zooms with the ship; the image data travels in the project as a data URL.
+
+function handleBackdropFileChosen() {
+    let file = backdropFileInput?.elt?.files?.[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        let dataUrl = String(reader.result);
+        loadImage(dataUrl, img => {
+            // Start centred on the ship, its longer side as long as the ship
+            // (or where the last image was, if only its placement survived an autosave - see autosaveProject())
+            let shipSize = getShipDrawSize() / pixelsPerUnit || blankShipSize;
+            let placement = backdrop && !backdrop.dataUrl ? backdrop
+                : { opacity: defaultBackdropOpacity, scale: shipSize / max(img.width, img.height, 1), rotation: 0, offsetX: 0, offsetY: 0, locked: false };
+            setBackdrop({ ...placement, name: file.name, dataUrl }, img);
+            projectDirty = true;
+        }, () => { console.error("Backdrop image could not be decoded:", file.name); alert(`'${file.name}' is not an image the browser can show.`); });
+    };
+    reader.onerror = () => { console.error("Backdrop load failed: could not read file", file.name, reader.error); alert(`Could not read '${file.name}'.`); };
+    reader.readAsDataURL(file);
+    backdropFileInput.elt.value = ''; // Allow reloading the same file
+}
+
+function setBackdrop(newBackdrop, img = null) {
+    // Replaces the backdrop (null removes it); without 'img' the image is decoded from its data URL
+    backdrop = newBackdrop;
+    backdropImage = img;
+    if (backdrop?.dataUrl && !img) {
+        let pending = backdrop;
+        loadImage(backdrop.dataUrl, loaded => { if (backdrop === pending) backdropImage = loaded; },
+            () => console.error("Backdrop image in the project could not be decoded:", pending.name));
+    }
+    updateBackdropControls(true);
+}
+
+function removeBackdrop() {
+    if (!backdrop || backdrop.locked) return;
+    setBackdrop(null);
+    projectDirty = true;
+}
+
+function updateBackdropPlacement() {
+    // Reads the placement inputs; entries that aren't valid numbers are ignored until corrected
+    if (!backdrop || backdrop.locked) return;
+    let read = input => parseFloat(input.value());
+    let opacity = read(backdropOpacityInput), scaleValue = read(backdropScaleInput), rotation = read(backdropRotationInput);
+    let offsetX = read(backdropOffsetXInput), offsetY = read(backdropOffsetYInput);
+    if (isFinite(opacity) && opacity >= 0) backdrop.opacity = min(opacity, 100) / 100;
+    if (isFinite(scaleValue) && scaleValue > 0) backdrop.scale = scaleValue;
+    if (isFinite(rotation)) backdrop.rotation = rotation;
+    if (isFinite(offsetX)) backdrop.offsetX = offsetX;
+    if (isFinite(offsetY)) backdrop.offsetY = offsetY;
+    projectDirty = true;
+}
+
+function updateBackdropControls(refreshValues = false) {
+    // Placement inputs are disabled without a backdrop or while it is locked
+    let inputs = [backdropOpacityInput, backdropScaleInput, backdropRotationInput, backdropOffsetXInput, backdropOffsetYInput];
+    if (refreshValues && backdrop) {
+        let values = [Math.round(backdrop.opacity * 100), +backdrop.scale.toPrecision(4), backdrop.rotation, backdrop.offsetX, backdrop.offsetY];
+        inputs.forEach((input, i) => input?.value(values[i]));
+    }
+    inputs.forEach(input => { if (input?.elt) input.elt.disabled = !backdrop || !!backdrop.locked; });
+    if (backdropLockCheckbox?.elt) { backdropLockCheckbox.elt.disabled = !backdrop; backdropLockCheckbox.elt.checked = !!backdrop?.locked; }
+    if (removeBackdropButton?.elt) removeBackdropButton.elt.disabled = !backdrop || !!backdrop.locked;
+    if (loadBackdropButton?.elt) loadBackdropButton.elt.disabled = !!backdrop?.locked;
+}
+
+function drawBackdrop() {
+    // Image centred on its offset, in world units scaled by pixelsPerUnit like the grid
+    let k = backdrop.scale * pixelsPerUnit; // Screen pixels per image pixel
+    push();
+    translate(backdrop.offsetX * pixelsPerUnit, backdrop.offsetY * pixelsPerUnit);
+    rotate(backdrop.rotation); // angleMode(DEGREES)
+    tint(255, backdrop.opacity * 255);
+    imageMode(CENTER);
+    image(backdropImage, 0, 0, backdropImage.width * k, backdropImage.height * k);
+    pop();
+}
+
+function validateBackdrop(b) {
+    // Returns a description of what is wrong with a project's backdrop, or null if it is usable
+    if (typeof b !== 'object') return "not an object";
+    if (b.dataUrl !== null && (typeof b.dataUrl !== 'string' || !b.dataUrl.startsWith('data:image/'))) return "dataUrl must be an image data URL";
+    for (let field of ['opacity', 'scale', 'rotation', 'offsetX', 'offsetY']) {
+        if (typeof b[field] !== 'number' || !isFinite(b[field])) return `${field} must be a number`;
+    }
+    if (b.opacity < 0 || b.opacity > 1) return "opacity must be between 0 and 1";
+    if (b.scale <= 0) return "scale must be positive";
+    if (typeof b.locked !== 'boolean') return "locked must be true or false";
+    return null;
+}
+
+// --- Reference Ship Functions ---
+// Pinned ships are drawn with their ships.js draw functions at size * pixelsPerUnit, the same scale as
+// the design, so they zoom and pan with it. They are never hit-tested.
+
+function pinReferenceShip(key) {
+    if (!SHIP_DEFINITIONS[key] || referenceShips.includes(key)) return;
+    referenceShips.push(key);
+    updateReferencePanel();
+}
+
+function unpinReferenceShip(key) {
+    referenceShips = referenceShips.filter(k => k !== key);
+    updateReferencePanel();
+}
+
+function updateReferenceSettings() {
+    let opacity = parseFloat(referenceOpacityInput.value());
+    if (isFinite(opacity) && opacity > 0) referenceOpacity = min(opacity, 100) / 100;
+    referenceSideBySide = !!referenceSideBySideCheckbox?.elt.checked;
+}
+
+function getReferenceSize(key) {
+    return sessionEdits[key]?.stats.size || SHIP_DEFINITIONS[key]?.size || 0;
+}
+
+function getReferencePlacements(r) {
+    // { key, source, s, x } per pinned ship: centred on the origin, or in a row starting right of the design.
+    // Kept until the pins, the layout, the zoom or editRevision change; side by side, they also follow an open step (e.g. a drag).
+    let sourcesSignature = JSON.stringify([referenceShips, editRevision]);
+    if (referenceCache.sourcesSignature !== sourcesSignature) {
+        referenceCache.sources = referenceShips.map(key => ({ key, source: getDefinitionSpriteSource(key) })).filter(ref => ref.source);
+        referenceCache.sourcesSignature = sourcesSignature;
+        referenceCache.placementsSignature = null;
+    }
+    let placementsSignature = JSON.stringify([referenceSideBySide, r, pixelsPerUnit]);
+    if (referenceCache.placementsSignature === placementsSignature && !(referenceSideBySide && openHistoryStep)) return referenceCache.placements;
+    let bounds = referenceSideBySide ? getDesignBounds() : null;
+    let nextX = (bounds ? bounds.maxX : 1) * r + referenceGap;
+    let placements = [];
+    for (let { key, source } of referenceCache.sources) {
+        let s = source.shipSize * pixelsPerUnit;
+        let halfWidth = source.extent * s / 2;
+        let x = 0;
+        if (referenceSideBySide) { x = nextX + halfWidth; nextX = x + halfWidth + referenceGap; }
+        placements.push({ key, source, s, x, halfWidth });
+    }
+    referenceCache.placements = placements;
+    referenceCache.placementsSignature = placementsSignature;
+    return placements;
+}
+
+function drawReferenceShips(r) {
+    for (let p of getReferencePlacements(r)) {
+        push();
+        translate(p.x, 0);
+        drawingContext.globalAlpha = referenceOpacity; // Restored by pop()
+        ellipseMode(CENTER); // ships.js draws with the game's default ellipse mode
+        p.source.draw(p.s, false);
+        pop();
+        if (referenceSideBySide) {
+            noStroke(); fill(90); textAlign(CENTER, TOP); textSize(11);
+            text(`${p.key} (${getReferenceSize(p.key)})`, p.x, p.halfWidth + 6);
+        }
+    }
+}
+
+function updateReferencePanel() {
+    // One row per pinned ship with its size relative to the design being edited
+    if (!referenceList) return;
+    let size = getShipDrawSize() / pixelsPerUnit; // The size stat (0 if nothing is loaded)
+    let signature = JSON.stringify([size, referenceShips.map(getReferenceSize), referenceShips]);
+    if (signature === referencePanelSignature) return;
+    referencePanelSignature = signature;
+    if (referenceReadoutSpan) referenceReadoutSpan.html(size > 0 ? `This ship: size ${size}` : '');
+    referenceList.html('');
+    for (let key of referenceShips) {
+        let refSize = getReferenceSize(key);
+        let row = createElement('li');
+        row.parent(referenceList);
+        let comparison = size > 0 && refSize > 0 ? ` \u2013 ${(refSize / size).toFixed(2)}\u00d7 this ship` : '';
+        let label = createSpan(`${key}: size ${refSize}${comparison}`);
+        label.parent(row);
+        let removeButton = createButton('Remove');
+        removeButton.mousePressed(() => unpinReferenceShip(key));
+        removeButton.parent(row);
+    }
 }
 
 // --- Event Handlers ---
 function handleShipSelection() {
+    stashCurrentEdits(); // Keep the outgoing ship's edits for 'Write ships.js' and for when it is reselected
+
     // Reset state variables
     currentShipKey = shipSelector.value(); shapes = []; selectedShapeIndex = -1; selectedVertexIndices = [];
     addingVertexMode = false; draggingShape = false; draggingVertex = false;
     dragConstrainedAxis = null; dragOccurred = false;
 
     // Clear Undo History for new selection
-    historyStack = [];
+    historyStack = []; redoStack = []; openHistoryStep = null;
+    thrusters = []; selectedThrusterIndex = -1; draggingThruster = null; draggingCurveHandle = null;
+    proceduralParams = null; transformPivotVertex = null;
+    blankDesignEditKey = null; // Each blank design is a new ship
+    if (flightMode) resetFlight(); // Keep flying, with the new ship back at the start
 
     let descriptionText = "Select a ship to view its description.";
+    currentShipStats = {};
 
     // Handle different selection types
     if (currentShipKey === '--- New Blank ---') {
-        currentShipDef = null; thargoidWarningSpan.style('display', 'none');
+        currentShipDef = null;
         descriptionText = "Editing a new custom ship design.";
+        currentShipStats = defaultBlankShipStats();
     } else if (SHIP_DEFINITIONS[currentShipKey]) {
         currentShipDef = SHIP_DEFINITIONS[currentShipKey];
+        currentShipStats = pickShipStats(currentShipDef);
         descriptionText = currentShipDef.description || "No description available.";
-        // Load vertex data if available and not Thargoid
-        if (currentShipDef.vertexData && currentShipDef.vertexData.length > 0 && !isThargoidSelected()) {
+        if (currentShipDef.procedural) proceduralParams = { ...currentShipDef.procedural };
+        // Load vertex data if available and not procedural
+        if (definitionHasEditableShapes(currentShipDef) && !isProceduralSelected()) {
             try {
-                shapes.push({ // Create initial shape layer (deep copy)
-                    vertexData: JSON.parse(JSON.stringify(currentShipDef.vertexData)),
-                    fillColor: [...(currentShipDef.fillColor || [180, 180, 180])],
-                    strokeColor: [...(currentShipDef.strokeColor || [50, 50, 50])],
-                    strokeW: currentShipDef.strokeW || 1
-                });
+                shapes = layersFromDefinition(currentShipDef);
                 selectedShapeIndex = 0; // Select the first layer
             } catch (e) {
                 console.error("ERROR processing vertexData for", currentShipKey, e);
                 selectedShapeIndex = -1; currentShipDef = null; shapes = [];
                 descriptionText = "Error loading ship data.";
             }
-        } else if (!isThargoidSelected()) {
-            console.warn(`Loaded ship '${currentShipKey}' has no editable vertexData or is Thargoid view.`);
+        } else if (!isProceduralSelected()) {
+            console.warn(`Loaded ship '${currentShipKey}' has no editable vertexData.`);
             selectedShapeIndex = -1;
         }
-        thargoidWarningSpan.style('display', isThargoidSelected() ? 'inline' : 'none');
+        setThrusterNote('');
+        thrusters = thrustersFromDefinition(currentShipDef, true);
+
+        // Reselecting a ship edited earlier in this session resumes those edits
+        let edit = sessionEdits[currentShipKey];
+        if (edit && currentShipDef) {
+            if (edit.layers.length > 0) { shapes = JSON.parse(JSON.stringify(edit.layers)); selectedShapeIndex = 0; }
+            currentShipStats = { ...edit.stats };
+            thrusters = cloneHistoryData(edit.thrusters);
+            proceduralParams = edit.procedural ? { ...edit.procedural } : null; // null once baked to polygons
+            descriptionText = (currentShipStats.description || "No description available.") + " (edited this session)";
+        }
     } else { // Handle "Select a Ship..."
         currentShipKey = null; currentShipDef = null;
-        thargoidWarningSpan.style('display', 'none');
     }
 
     if (descriptionDiv) { descriptionDiv.html(descriptionText); }
+    ensureMirrorLinks(selectedShapeIndex);
     updateUIControls(); // Update button states
     updateColorPickersFromSelection(); // Reset/set color pickers
+    updateStatsForm();
+}
+
+function defaultBlankShipStats() {
+    return {
+        name: 'Custom Ship', role: 'Multi-Role', sizeCategory: 'Medium', size: blankShipSize,
+        baseMaxSpeed: 5.0, baseThrust: 0.08, baseTurnRateDegrees: 3.0, baseHull: 100, baseShield: 100, shieldRecharge: 1.0, cargoCapacity: 20,
+        armament: '', costCategory: 'Medium', description: ''
+    };
+}
+
+function layersFromDefinition(def) {
+    // Deep-copied editor layers for a definition. Multi-layer definitions list layers bottom first;
+    // 'shapes' keeps the top layer at index 0.
+    let isMultiLayer = Array.isArray(def.layers) && def.layers.length > 0;
+    let sourceLayers = isMultiLayer ? [...def.layers].reverse() : [def];
+    return sourceLayers.map(layer => {
+        let shape = {
+            vertexData: JSON.parse(JSON.stringify(layer.vertexData)),
+            fillColor: [...(layer.fillColor || [180, 180, 180])],
+            strokeColor: [...(layer.strokeColor || [50, 50, 50])],
+            strokeW: layer.strokeW || 1
+        };
+        if (isMultiLayer && typeof layer.name === 'string') shape.name = layer.name; // A definition's own 'name' is the ship's
+        if (layer.hidden) shape.hidden = true;
+        return shape;
+    });
+}
+
+function definitionHasEditableShapes(def) {
+    // True if a definition carries vertex data the editor can load (a 'layers' array or single vertexData)
+    return !!def && ((Array.isArray(def.layers) && def.layers.length > 0) || (Array.isArray(def.vertexData) && def.vertexData.length > 0));
 }
 
-function isThargoidSelected() {
-    return currentShipKey === 'Thargoid' && currentShipDef?.name === 'Thargoid Interceptor';
+function pickShipStats(def) {
+    // Copies the SHIP_STAT_FIELDS present on a definition
+    let stats = {};
+    for (let field of SHIP_STAT_FIELDS) {
+        if (def && def[field] !== undefined) stats[field] = def[field];
+    }
+    return stats;
+}
+
+function isProceduralSelected() {
+    // True while a procedural ship is drawn from proceduralParams (it has no layers until baked)
+    return proceduralParams !== null;
 }
 
 function isEditable() {
     return (currentShipKey === '--- New Blank ---') ||
-           (currentShipKey && currentShipKey !== 'Select a Ship...' && currentShipDef && !isThargoidSelected());
+           (currentShipKey && currentShipKey !== 'Select a Ship...' && currentShipDef && !isProceduralSelected());
+}
+
+function isLayerEditable(index) {
+    // The design is editable and the layer exists and is neither hidden nor locked
+    let shape = shapes[index];
+    return !!isEditable() && !!shape && !shape.hidden && !shape.locked;
+}
+
+function isTypingInFormField() {
+    // True while keyboard focus is in a text box / input, so editor shortcuts don't hijack typing
+    let el = document.activeElement;
+    return !!el && (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || (el.tagName === 'INPUT' && el.type !== 'button' && el.type !== 'checkbox'));
 }
 
 function mousePressed() {
-    // Ignore clicks outside canvas or if Thargoid is displayed
-    if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height || isThargoidSelected()) { return; }
+    // Ignore clicks outside canvas, and the canvas itself while test flying
+    if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height || flightMode) { return; }
+
+    // Middle-drag or Space+drag pans the view (any ship, any mode)
+    if (mouseButton === CENTER || keyIsDown(spaceKeyCode)) { startPanning(); return false; }
+    if (isProceduralSelected()) return; // Nothing to edit on a procedural ship
 
     dragOccurred = false; // Reset drag flag
 
     // Calculate interaction radius and mouse positions
-    let actualDrawSize_s = 0;
-    if (currentShipDef) { actualDrawSize_s = (currentShipDef.size || 1) * pixelsPerUnit; }
-    else if (shapes.length > 0 && currentShipKey === '--- New Blank ---') { actualDrawSize_s = baseDisplaySize * (50 / maxDefinedShipSize); }
-    let interaction_r = actualDrawSize_s > 0 ? actualDrawSize_s / 2 : baseDisplaySize / (maxDefinedShipSize * 2);
-    let mx_rel = mouseX - width / 2; let my_rel = mouseY - height / 2;
+    let interaction_r = getInteractionRadius();
+    let mx_rel = mouseX - viewOriginX(); let my_rel = mouseY - viewOriginY();
     let mx_shape_rel = mx_rel / interaction_r; let my_shape_rel = my_rel / interaction_r;
 
     // Reset interaction flags
-    draggingVertex = false; draggingShape = false;
+    draggingVertex = false; draggingShape = false; draggingThruster = null; transformDrag = null; draggingCurveHandle = null;
     dragVertexInitialPositions = []; dragConstrainedAxis = null;
+    dragSnapAnchor = null; activeSnap = null; marquee = null;
+
+    // --- 0. Thruster Edit Mode takes over the canvas ---
+    if (thrusterEditMode && isEditable() && interaction_r > 0) {
+        handleThrusterPress(mx_rel, my_rel, interaction_r);
+        updateUIControls(); return;
+    }
 
     // --- 1. Handle Add Vertex Mode ---
     if (addingVertexMode && isEditable() && interaction_r > 0) {
-        if (selectedShapeIndex !== -1 && shapes[selectedShapeIndex]) {
+        if (isLayerEditable(selectedShapeIndex)) {
             let shape = shapes[selectedShapeIndex];
             if (!shape || !shape.vertexData) { console.error("Add Vertex Failed: Invalid shape"); return; }
             let closestEdgeInfo = findClosestEdgeRelative(shape, mx_shape_rel, my_shape_rel);
-            let screenEdgeDistSq = closestEdgeInfo ? distSqToSegment(mx_rel, my_rel,
-                shape.vertexData[closestEdgeInfo.index].x * interaction_r, shape.vertexData[closestEdgeInfo.index].y * interaction_r,
-                shape.vertexData[(closestEdgeInfo.index + 1) % shape.vertexData.length].x * interaction_r, shape.vertexData[(closestEdgeInfo.index + 1) % shape.vertexData.length].y * interaction_r
-            ) : Infinity;
+            let screenEdgeDistSq = closestEdgeInfo ? closestEdgeInfo.distSq * interaction_r ** 2 : Infinity; // Relative -> screen pixels
 
             if (closestEdgeInfo && screenEdgeDistSq < edgeClickMinDist ** 2) {
-                saveStateForUndo(); // Save state BEFORE adding vertex
                 let v1 = shape.vertexData[closestEdgeInfo.index];
                 let v2 = shape.vertexData[(closestEdgeInfo.index + 1) % shape.vertexData.length];
                 if (typeof v1?.x !== 'number' || typeof v1?.y !== 'number' || typeof v2?.x !== 'number' || typeof v2?.y !== 'number') { console.error("Add Vertex Failed: Invalid edge points"); return; }
-                let newVertex = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 };
-                shape.vertexData.splice(closestEdgeInfo.index + 1, 0, newVertex);
+                let snap = snapPoint(mx_shape_rel, my_shape_rel, interaction_r, [selectedShapeIndex]); // Snapped click point, else the edge midpoint (halfway along a curve)
+                beginHistoryStep("Add vertex", [selectedShapeIndex]); // Open step BEFORE adding vertex
+                addVertexOnEdge(shape, closestEdgeInfo.index, snap ? { x: snap.x, y: snap.y } : null); // Also adds the mirrored vertex in symmetry mode
                 selectedVertexIndices = []; draggingVertex = false;
+                commitHistoryStep();
             }
         }
         updateUIControls(); return; // Stop processing
     }
 
-    // --- 2. Check for Vertex Handle Click ---
-    let clickedVertexHandleIndex = -1;
-    if (isEditable() && selectedShapeIndex !== -1 && shapes[selectedShapeIndex]?.vertexData && interaction_r > 0) {
-        let selectedShape = shapes[selectedShapeIndex];
-        for (let i = 0; i < selectedShape.vertexData.length; i++) {
-            let v = selectedShape.vertexData[i];
+    // --- 1b. Transform Gizmo handles (and picking the pivot vertex) ---
+    if (transformMode && isLayerEditable(selectedShapeIndex) && interaction_r > 0 && handleTransformPress(mx_rel, my_rel, interaction_r)) {
+        updateUIControls(); return;
+    }
+
+    // --- 1c. Bézier control handles of the selected smooth vertices ---
+    if (isLayerEditable(selectedShapeIndex) && interaction_r > 0 && handleCurveHandlePress(mx_rel, my_rel, interaction_r)) {
+        updateUIControls(); return;
+    }
+
+    // --- 2. Check for Vertex Handle Click (any editable layer's handles in cross-layer mode) ---
+    let clickedVertexHandleIndex = -1; let clickedHandleLayer = -1;
+    let handleLayers = crossLayerSelect ? [selectedShapeIndex, ...shapes.map((_, i) => i).filter(i => i !== selectedShapeIndex)] : [selectedShapeIndex];
+    for (let layerIndex of interaction_r > 0 ? handleLayers : []) {
+        if (!isLayerEditable(layerIndex) || !shapes[layerIndex].vertexData) continue;
+        let handleShape = shapes[layerIndex];
+        for (let i = 0; i < handleShape.vertexData.length; i++) {
+            let v = handleShape.vertexData[i];
             if (typeof v?.x !== 'number' || typeof v?.y !== 'number') continue;
             let screenX = v.x * interaction_r; let screenY = v.y * interaction_r;
             if (distSq(mx_rel, my_rel, screenX, screenY) < grabRadius ** 2) {
-                clickedVertexHandleIndex = i; break;
+                clickedVertexHandleIndex = i; clickedHandleLayer = layerIndex; break;
             }
         }
+        if (clickedVertexHandleIndex !== -1) break;
     }
 
     // --- Action if Vertex Handle Clicked ---
     if (clickedVertexHandleIndex !== -1) {
-        let indexInSelection = selectedVertexIndices.indexOf(clickedVertexHandleIndex);
-        let currentlySelected = indexInSelection !== -1;
+        let groups = getSelectedVertexGroups();
+        let group = groups.find(g => g.layerIndex === clickedHandleLayer);
+        let currentlySelected = !!group && group.indices.includes(clickedVertexHandleIndex);
 
         if (keyIsDown(SHIFT)) { // Toggle selection (No state change needing undo)
-            if (currentlySelected) { selectedVertexIndices.splice(indexInSelection, 1); }
-            else { selectedVertexIndices.push(clickedVertexHandleIndex); }
+            if (currentlySelected) { group.indices.splice(group.indices.indexOf(clickedVertexHandleIndex), 1); }
+            else if (group) { group.indices.push(clickedVertexHandleIndex); }
+            else { groups.push({ layerIndex: clickedHandleLayer, indices: [clickedVertexHandleIndex] }); }
+            setSelectedVertexGroups(groups);
         } else { // Prepare for drag
-            if (!currentlySelected) { selectedVertexIndices = [clickedVertexHandleIndex]; }
-            saveStateForUndo(); // SAVE STATE BEFORE starting vertex drag
-            draggingVertex = true; // Set flag AFTER saving
-            dragVertexStartX = mx_rel; dragVertexStartY = my_rel;
-            dragVertexInitialPositions = [];
-            let shape = shapes[selectedShapeIndex];
-            if (shape?.vertexData) {
-                selectedVertexIndices.forEach(idx => {
-                    if (shape.vertexData[idx]) { dragVertexInitialPositions.push({ index: idx, x: shape.vertexData[idx].x, y: shape.vertexData[idx].y }); }
-                });
-            }
-            draggingShape = false;
+            if (!currentlySelected) { setSelectedVertexGroups([{ layerIndex: clickedHandleLayer, indices: [clickedVertexHandleIndex] }]); }
+            startVertexDrag(clickedHandleLayer, clickedVertexHandleIndex, mx_rel, my_rel);
         }
         updateUIControls(); return; // Interaction handled
     }
@@ -480,6 +1661,7 @@ function mousePressed() {
     let clickedShapeIndex = -1; let clickedInsideSelectedShape = false;
     for (let i = 0; i < shapes.length; i++) { // Check top-down
         let currentShape = shapes[i];
+        if (currentShape?.hidden || currentShape?.locked) continue; // Pick these from the layer panel instead
         if (currentShape?.vertexData?.length >= 3 && isPointInPolygon(mx_shape_rel, my_shape_rel, currentShape.vertexData)) {
             clickedShapeIndex = i;
             if (i === selectedShapeIndex) clickedInsideSelectedShape = true;
@@ -490,133 +1672,294 @@ function mousePressed() {
     // --- Action based on Shape Click ---
     if (clickedShapeIndex !== -1) { // Clicked inside *some* shape
         if (clickedInsideSelectedShape && isEditable()) { // Clicked selected shape: Start drag
-            saveStateForUndo(); // SAVE STATE BEFORE starting shape drag
-            draggingShape = true; // Set flag AFTER saving
+            beginHistoryStep("Move layer", [selectedShapeIndex]); // Open step BEFORE starting shape drag
+            draggingShape = true; // Set flag AFTER opening the step
             dragShapeStartX = mouseX; dragShapeStartY = mouseY;
             selectedVertexIndices = []; // Deselect vertices
+            // Remember where every vertex started; the one nearest the click is the snap anchor
+            let nearestDistSq = Infinity;
+            shapes[selectedShapeIndex].vertexData.forEach((v, idx) => {
+                dragVertexInitialPositions.push({ index: idx, x: v.x, y: v.y });
+                let d = distSq(mx_shape_rel, my_shape_rel, v.x, v.y);
+                if (d < nearestDistSq) { nearestDistSq = d; dragSnapAnchor = { x: v.x, y: v.y }; }
+            });
         } else if (selectedShapeIndex !== clickedShapeIndex && isEditable()) { // Clicked different shape: Select it (No undo needed for selection change)
-            selectedShapeIndex = clickedShapeIndex; selectedVertexIndices = [];
+            selectedShapeIndex = clickedShapeIndex; selectedVertexIndices = []; clearCrossLayerSelection();
             draggingShape = false; updateColorPickersFromSelection();
+            ensureMirrorLinks(selectedShapeIndex);
         }
+    } else if (isLayerEditable(selectedShapeIndex) || (crossLayerSelect && isEditable())) {
+        // Clicked outside any shape: start a marquee; a plain click (no drag) deselects on release
+        marquee = { startX: mx_rel, startY: my_rel, endX: mx_rel, endY: my_rel, mode: keyIsDown(ALT) ? 'subtract' : keyIsDown(SHIFT) ? 'add' : 'replace' };
+        draggingShape = false;
     } else { // Clicked outside any shape: Deselect (No undo needed)
-        if (selectedShapeIndex !== -1) {
-            selectedShapeIndex = -1; selectedVertexIndices = [];
-            updateColorPickersFromSelection();
-        }
+        deselectAll();
         draggingShape = false;
     }
     updateUIControls();
 }
 
 function mouseDragged() {
-    // Ignore if Thargoid selected or not currently dragging anything
-    if (isThargoidSelected() || (!draggingVertex && !draggingShape)) return;
+    if (flightMode) return;
+    if (panning) { viewPanX = panning.panX + mouseX - panning.startX; viewPanY = panning.panY + mouseY - panning.startY; return; }
+    // Ignore if a procedural ship is selected or not currently dragging anything
+    if (isProceduralSelected() || (!draggingVertex && !draggingShape && !draggingThruster && !transformDrag && !draggingCurveHandle && !marquee)) return;
 
     // Set flag if actual movement occurs beyond a small threshold
     if (!dragOccurred) {
         let moved = false;
-        if (draggingVertex) { moved = distSq(mouseX - width/2, mouseY - height/2, dragVertexStartX, dragVertexStartY) > 4; }
+        if (draggingVertex) { moved = distSq(mouseX - viewOriginX(), mouseY - viewOriginY(), dragVertexStartX, dragVertexStartY) > 4; }
         else if (draggingShape) { moved = distSq(mouseX, mouseY, dragShapeStartX, dragShapeStartY) > 4; }
+        else if (draggingThruster) { moved = distSq(mouseX - viewOriginX(), mouseY - viewOriginY(), draggingThruster.startX, draggingThruster.startY) > 4; }
+        else if (transformDrag) { moved = distSq(mouseX - viewOriginX(), mouseY - viewOriginY(), transformDrag.startX, transformDrag.startY) > 4; }
+        else if (draggingCurveHandle) { moved = distSq(mouseX - viewOriginX(), mouseY - viewOriginY(), draggingCurveHandle.startX, draggingCurveHandle.startY) > 4; }
+        else if (marquee) { moved = distSq(mouseX - viewOriginX(), mouseY - viewOriginY(), marquee.startX, marquee.startY) > 4; }
         if (moved) dragOccurred = true;
+        else return; // Ignore sub-threshold jitter so a plain click never edits (or records) anything
     }
 
     // Recalculate interaction radius
-    let actualDrawSize_s = 0;
-    if (currentShipDef) { actualDrawSize_s = (currentShipDef.size || 1) * pixelsPerUnit; }
-    else if (shapes.length > 0 && currentShipKey === '--- New Blank ---') { actualDrawSize_s = baseDisplaySize * (50 / maxDefinedShipSize); }
-    let interaction_r = actualDrawSize_s > 0 ? actualDrawSize_s / 2 : baseDisplaySize / (maxDefinedShipSize * 2);
+    let interaction_r = getInteractionRadius();
+
+    if (draggingThruster) { dragThruster(mouseX - viewOriginX(), mouseY - viewOriginY(), interaction_r); return; }
+    if (transformDrag) { dragTransform(mouseX - viewOriginX(), mouseY - viewOriginY(), interaction_r); updateVertexInspector(); return; }
+    if (draggingCurveHandle) { dragCurveHandle(mouseX - viewOriginX(), mouseY - viewOriginY(), interaction_r); return; }
+    if (marquee) { marquee.endX = mouseX - viewOriginX(); marquee.endY = mouseY - viewOriginY(); return; }
 
     // --- Handle Multi-Vertex Dragging ---
     if (draggingVertex && selectedShapeIndex !== -1 && shapes[selectedShapeIndex]?.vertexData && isEditable()) {
         let shape = shapes[selectedShapeIndex];
-        let currentMxRel = mouseX - width / 2; let currentMyRel = mouseY - height / 2;
+        let currentMxRel = mouseX - viewOriginX(); let currentMyRel = mouseY - viewOriginY();
         let deltaScreenX = currentMxRel - dragVertexStartX; let deltaScreenY = currentMyRel - dragVertexStartY;
         // Apply Axis Constraint Logic (Shift Key)
         if (keyIsDown(SHIFT)) {
             if (dragConstrainedAxis === null && (abs(deltaScreenX) > 5 || abs(deltaScreenY) > 5)) { dragConstrainedAxis = abs(deltaScreenX) > abs(deltaScreenY) ? 'x' : 'y'; }
             if (dragConstrainedAxis === 'x') { deltaScreenY = 0; } else if (dragConstrainedAxis === 'y') { deltaScreenX = 0; }
         } else { dragConstrainedAxis = null; }
-        // Convert screen delta to relative delta and apply
-        let deltaRelX = deltaScreenX / interaction_r; let deltaRelY = deltaScreenY / interaction_r;
+        // Convert screen delta to relative delta, snap it and apply
+        let delta = snapDragDelta(deltaScreenX / interaction_r, deltaScreenY / interaction_r, interaction_r);
         dragVertexInitialPositions.forEach(initialPos => {
-            if (shape.vertexData[initialPos.index]) {
-                shape.vertexData[initialPos.index].x = initialPos.x + deltaRelX;
-                shape.vertexData[initialPos.index].y = initialPos.y + deltaRelY;
-            }
+            let v = (initialPos.shape || shape).vertexData[initialPos.index]; // Entries of other layers (cross-layer selection) carry their layer
+            if (v) { v.x = initialPos.x + delta.x; v.y = initialPos.y + delta.y; }
         });
+        if (symmetryMode) {
+            for (let movedShape of new Set(dragVertexInitialPositions.map(p => p.shape || shape))) {
+                applyMirrorConstraints(movedShape, dragVertexInitialPositions.filter(p => (p.shape || shape) === movedShape).map(p => p.index));
+            }
+        }
+        updateVertexInspector();
     }
     // --- Handle Shape Dragging ---
     else if (draggingShape && selectedShapeIndex !== -1 && shapes[selectedShapeIndex]?.vertexData && isEditable()) {
         let shape = shapes[selectedShapeIndex];
-        let dx = mouseX - pmouseX; let dy = mouseY - pmouseY; // Frame delta
+        let dx = mouseX - dragShapeStartX; let dy = mouseY - dragShapeStartY; // Total delta since the press
         // Apply Axis Constraint Logic (Shift Key)
         if (keyIsDown(SHIFT)) {
-            if (dragConstrainedAxis === null && distSq(mouseX, mouseY, dragShapeStartX, dragShapeStartY) > 25) {
-                 let totalDx = mouseX - dragShapeStartX; let totalDy = mouseY - dragShapeStartY;
-                 dragConstrainedAxis = abs(totalDx) > abs(totalDy) ? 'x' : 'y';
-            }
+            if (dragConstrainedAxis === null && dx * dx + dy * dy > 25) { dragConstrainedAxis = abs(dx) > abs(dy) ? 'x' : 'y'; }
             if (dragConstrainedAxis === 'x') { dy = 0; } else if (dragConstrainedAxis === 'y') { dx = 0; }
         } else { dragConstrainedAxis = null; }
-        // Convert screen delta to relative delta and apply
-        let deltaRelX = dx / interaction_r; let deltaRelY = dy / interaction_r;
-        for (let v of shape.vertexData) {
-            if (typeof v?.x === 'number' && typeof v?.y === 'number') { v.x += deltaRelX; v.y += deltaRelY; }
-        }
+        let mirrored = symmetryMode && shape.mirrorLinks?.length > 0; // A mirrored layer stays centred on the axis
+        if (mirrored) dy = 0;
+        // Convert screen delta to relative delta, snap it and apply to the starting positions
+        let delta = snapDragDelta(dx / interaction_r, dy / interaction_r, interaction_r);
+        if (mirrored && delta.y !== 0) { delta.y = 0; if (activeSnap) activeSnap.y = dragSnapAnchor.y; }
+        dragVertexInitialPositions.forEach(initialPos => {
+            let v = shape.vertexData[initialPos.index];
+            if (typeof v?.x === 'number' && typeof v?.y === 'number') { v.x = initialPos.x + delta.x; v.y = initialPos.y + delta.y; }
+        });
+        updateVertexInspector();
     }
 }
 
 function mouseReleased() {
-    // NOTE: State saving for drags is now done in mousePressed.
-    // This function just resets flags.
+    // NOTE: The drag's history step is opened in mousePressed and committed here;
+    // it is only recorded if the drag actually moved something.
+    if (panning) { stopPanning(); return; }
+    if (marquee) {
+        if (dragOccurred) finishMarquee(getInteractionRadius());
+        else if (marquee.mode === 'replace') deselectAll();
+        marquee = null; dragOccurred = false;
+        updateUIControls();
+        return;
+    }
+    if (draggingVertex || draggingShape || draggingThruster || transformDrag || draggingCurveHandle) commitHistoryStep();
+    draggingThruster = null; transformDrag = null; draggingCurveHandle = null;
 
     if (draggingVertex) draggingVertex = false;
     if (draggingShape) draggingShape = false;
     dragVertexInitialPositions = [];
     dragConstrainedAxis = null;
+    dragSnapAnchor = null; activeSnap = null;
     dragOccurred = false; // Reset drag occurred flag
 }
 
 function keyPressed() {
-    if (isThargoidSelected()) return; // Ignore keys if Thargoid selected
+    if (isTypingInFormField()) return; // Let text fields (paste box, weight input) keep their keys
+    if (keyCode === spaceKeyCode) return false; // Held for Space+drag panning; don't scroll the page
+    let ctrl = keyIsDown(CONTROL) || keyIsDown(COMMAND);
 
-    // Delete Selected Vertices (DELETE or BACKSPACE without Shift)
-    if ((keyCode === DELETE || keyCode === BACKSPACE) && !keyIsDown(SHIFT) && selectedShapeIndex !== -1 && selectedVertexIndices.length > 0 && isEditable()) {
-        if (shapes[selectedShapeIndex]?.vertexData) {
-            let shape = shapes[selectedShapeIndex];
-            let remainingVertices = shape.vertexData.length - selectedVertexIndices.length;
-            if (remainingVertices >= 3) { // Check if deletion is valid
-                saveStateForUndo(); // Save state BEFORE deleting vertices
-                shape.vertexData = shape.vertexData.filter((_, index) => !selectedVertexIndices.includes(index));
-                selectedVertexIndices = []; draggingVertex = false; // Reset selection/interaction
-            } else { console.warn(`Cannot delete vertices - must leave at least 3.`); }
+    if (key === '?') { toggleShortcutOverlay(); return false; }
+    if (flightMode) return handleFlightKey(); // Flight controls are read in drawTestFlight(); editing keys are off
+    if (keyCode === ESCAPE) { handleEscapeKey(); return false; }
+    // Arrow keys nudge the selected vertices (or the selected layer); Shift for bigger steps
+    let arrows = { [LEFT_ARROW]: [-1, 0], [RIGHT_ARROW]: [1, 0], [UP_ARROW]: [0, -1], [DOWN_ARROW]: [0, 1] };
+    if (arrows[keyCode] && !ctrl) {
+        let step = keyIsDown(SHIFT) ? nudgeCoarseStep : nudgeFineStep;
+        nudgeSelection(arrows[keyCode][0] * step, arrows[keyCode][1] * step);
+        return false; // Don't scroll the page
+    }
+    if (keyCode === TAB && !ctrl) { cycleSelection(keyIsDown(SHIFT) ? -1 : 1); return false; }
+    // Single-key shortcuts (no Ctrl/Cmd)
+    if (!ctrl) {
+        let actions = {
+            a: toggleAddVertexMode, s: handleStraightenClick, f: fitShipToView, '0': resetView,
+            '+': zoomIn, '=': zoomIn, '-': zoomOut, '_': zoomOut
+        };
+        let action = actions[key.toLowerCase()];
+        if (action) {
+            if ((key.toLowerCase() === 'a' || key.toLowerCase() === 's') && !isLayerEditable(selectedShapeIndex)) return;
+            action();
+            return false;
         }
     }
+
+    // Delete Selected Thruster (in Thruster Edit Mode)
+    if ((keyCode === DELETE || keyCode === BACKSPACE) && thrusterEditMode && selectedThrusterIndex !== -1) {
+        deleteSelectedThruster();
+        return false;
+    }
+    // Delete Selected Vertices (DELETE or BACKSPACE without Shift)
+    if ((keyCode === DELETE || keyCode === BACKSPACE) && !keyIsDown(SHIFT) && selectedVertexIndices.length > 0 && isLayerEditable(selectedShapeIndex)) {
+        deleteLayerVertices(selectedVertexIndices);
+    }
     // Delete Selected Shape Layer (SHIFT + DELETE or BACKSPACE)
     else if ((keyCode === DELETE || keyCode === BACKSPACE) && keyIsDown(SHIFT) && selectedShapeIndex !== -1 && isEditable()) {
-        if (shapes.length > selectedShapeIndex && selectedShapeIndex >= 0) {
-            saveStateForUndo(); // Save state BEFORE deleting shape layer
-            shapes.splice(selectedShapeIndex, 1); // Remove the shape layer
-            selectedShapeIndex = -1; selectedVertexIndices = []; // Reset selection
-            draggingVertex = false; draggingShape = false;
-            updateUIControls(); updateColorPickersFromSelection(); // Update UI
-        }
+        deleteSelectedLayer();
+    }
+    // Ctrl+Shift+Z / Cmd+Shift+Z and Ctrl+Y for Redo
+    else if (((key === 'z' || key === 'Z') && keyIsDown(SHIFT) || key === 'y' || key === 'Y') && (keyIsDown(CONTROL) || keyIsDown(COMMAND))) {
+        redoLastChange();
+        return false; // Keep the browser from handling it too
     }
     // Add Ctrl+Z / Cmd+Z for Undo
     else if (key === 'z' && (keyIsDown(CONTROL) || keyIsDown(COMMAND))) {
         undoLastChange();
     }
+    // Ctrl+A / Cmd+A selects every vertex of the selected layer
+    else if ((key === 'a' || key === 'A') && (keyIsDown(CONTROL) || keyIsDown(COMMAND)) && isLayerEditable(selectedShapeIndex)) {
+        selectAllVertices();
+        return false; // Don't select the page's text
+    }
+    // Ctrl+D duplicates the selected layer (Ctrl+C / Ctrl+X / Ctrl+V: see handleClipboardEvent())
+    else if ((key === 'd' || key === 'D') && ctrl) { duplicateSelectedLayer(); return false; }
+}
+
+function handleEscapeKey() {
+    // Closes the shortcut overlay, else cancels a drag in progress (restoring the pre-drag state),
+    // else leaves Add Vertex mode, else clears the vertex selection, else deselects the layer
+    if (shortcutOverlay && shortcutOverlay.elt.style.display !== 'none') { toggleShortcutOverlay(); return; }
+    if (draggingVertex || draggingShape || draggingThruster || transformDrag || draggingCurveHandle) {
+        cancelHistoryStep(); // Reverts everything the drag changed
+        draggingVertex = false; draggingShape = false; draggingThruster = null; transformDrag = null; draggingCurveHandle = null;
+        dragVertexInitialPositions = []; dragConstrainedAxis = null; dragSnapAnchor = null; activeSnap = null;
+        dragOccurred = false;
+    } else if (marquee) {
+        marquee = null;
+    } else if (panning) {
+        viewPanX = panning.panX; viewPanY = panning.panY;
+        stopPanning();
+    } else if (addingVertexMode) {
+        addingVertexMode = false;
+    } else if (selectedVertexIndices.length > 0 || crossLayerSelection.size > 0) {
+        selectedVertexIndices = []; clearCrossLayerSelection();
+    } else {
+        deselectAll();
+    }
+    updateUIControls();
+}
+
+function nudgeSelection(dx, dy) {
+    // Moves the selected vertices (every layer's, in cross-layer mode) or else the whole selected layer.
+    // Presses in quick succession extend one undo step, committed once the keys go quiet.
+    let groups = getSelectedVertexGroups();
+    if (groups.length > 0) {
+        let count = groups.reduce((total, g) => total + g.indices.length, 0);
+        beginHistoryStep(count === 1 ? "Nudge vertex" : `Nudge ${count} vertices`, groups.map(g => g.layerIndex), `nudge:${JSON.stringify(groups)}`);
+        for (let g of groups) {
+            let shape = shapes[g.layerIndex];
+            for (let i of g.indices) { shape.vertexData[i].x += dx; shape.vertexData[i].y += dy; }
+            if (symmetryMode) applyMirrorConstraints(shape, g.indices);
+        }
+    } else if (isLayerEditable(selectedShapeIndex)) {
+        let shape = shapes[selectedShapeIndex];
+        if (symmetryMode && shape.mirrorLinks?.length > 0) dy = 0; // A mirrored layer stays centred on the axis
+        if (dx === 0 && dy === 0) return;
+        beginHistoryStep("Nudge layer", [selectedShapeIndex], `nudge:layer:${selectedShapeIndex}`);
+        for (let v of shape.vertexData) { v.x += dx; v.y += dy; }
+    } else {
+        return;
+    }
+    clearTimeout(nudgeCommitTimer);
+    nudgeCommitTimer = setTimeout(() => {
+        if (openHistoryStep?.coalesceKey?.startsWith('nudge:')) { commitHistoryStep(); updateUIControls(); }
+    }, nudgeBurstMs);
+    updateVertexInspector();
+}
+
+function cycleSelection(step) {
+    // Tab / Shift+Tab: next / previous vertex of the selected layer, or next / previous layer when no vertex is selected
+    if (isLayerEditable(selectedShapeIndex) && selectedVertexIndices.length > 0) {
+        let n = shapes[selectedShapeIndex].vertexData.length;
+        let current = selectedVertexIndices[selectedVertexIndices.length - 1];
+        selectedVertexIndices = [(current + step + n) % n];
+        clearCrossLayerSelection();
+    } else if (shapes.length > 0) {
+        let next = selectedShapeIndex === -1 ? (step > 0 ? 0 : shapes.length - 1) : (selectedShapeIndex + step + shapes.length) % shapes.length;
+        selectLayer(next);
+    }
+    updateUIControls();
+}
+
+function toggleShortcutOverlay() {
+    if (!shortcutOverlay) return;
+    let hidden = shortcutOverlay.elt.style.display === 'none';
+    shortcutOverlay.style('display', hidden ? 'flex' : 'none');
 }
 
 // --- UI Update Functions ---
 function updateUIControls() {
     let editable = isEditable();
-    let shapeSelected = selectedShapeIndex !== -1 && editable && shapes[selectedShapeIndex];
+    let shapeSelected = isLayerEditable(selectedShapeIndex); // Hidden and locked layers can't be edited
 
     // Enable/disable buttons based on state
     if (addShapeButton?.elt) addShapeButton.elt.disabled = !editable && currentShipKey !== '--- New Blank ---';
-    if (exportButton?.elt) exportButton.elt.disabled = shapes.length === 0 && !isThargoidSelected();
+    if (exportButton?.elt) exportButton.elt.disabled = shapes.length === 0 && !isProceduralSelected();
+    if (exportEntryButton?.elt) exportEntryButton.elt.disabled = shapes.length === 0 && !isProceduralSelected();
     if (straightenButton?.elt) straightenButton.elt.disabled = !shapeSelected;
+    if (completeHalfButton?.elt) completeHalfButton.elt.disabled = !shapeSelected;
+    if (symmetryButton) { if (symmetryMode) symmetryButton.addClass('active'); else symmetryButton.removeClass('active'); }
+    updateSymmetryReadout();
+    if (transformModeButton) { if (transformMode) transformModeButton.addClass('active'); else transformModeButton.removeClass('active'); }
+    if (testFlightButton) {
+        testFlightButton.html(flightMode ? 'Stop Flight' : 'Test Flight');
+        if (flightMode) testFlightButton.addClass('active'); else testFlightButton.removeClass('active');
+        testFlightButton.elt.disabled = !flightMode && !hasFlyableDesign();
+    }
+    if (applyTransformButton?.elt) applyTransformButton.elt.disabled = !shapeSelected;
+    if (flipHorizontalButton?.elt) flipHorizontalButton.elt.disabled = !shapeSelected;
+    if (flipVerticalButton?.elt) flipVerticalButton.elt.disabled = !shapeSelected;
+    if (selectAllVerticesButton?.elt) selectAllVerticesButton.elt.disabled = !shapeSelected;
+    if (invertSelectionButton?.elt) invertSelectionButton.elt.disabled = !shapeSelected;
+    if (curveTypeSelect?.elt) { curveTypeSelect.value(getSelectedCurveType()); curveTypeSelect.elt.disabled = !shapeSelected || selectedVertexIndices.length === 0; }
+    updateThrusterControls();
+    updateProceduralForm();
     if (undoButton?.elt) undoButton.elt.disabled = historyStack.length === 0;
+    if (redoButton?.elt) redoButton.elt.disabled = redoStack.length === 0;
+    updateHistoryPanel();
+    updateLayerPanel();
+    updateVertexInspector();
+    updateReferencePanel();
+    updateBackdropControls();
 
     // Disable editing tools if no editable shape is selected
     const shouldBeDisabled = !shapeSelected;
@@ -661,44 +2004,746 @@ function updateColorPickersFromSelection() {
 }
 
 function updateSelectedShapeFill() {
-    if (selectedShapeIndex !== -1 && shapes[selectedShapeIndex] && isEditable()) {
-        saveStateForUndo(); // Save state BEFORE change
+    if (isLayerEditable(selectedShapeIndex)) {
+        // One history step per picker interaction: 'input' ticks extend it, 'change' commits it
+        beginHistoryStep("Change fill", [selectedShapeIndex], `fill:${selectedShapeIndex}`);
         let col = color(fillColorPicker.value());
         shapes[selectedShapeIndex].fillColor = [red(col), green(col), blue(col)];
     }
 }
 function updateSelectedShapeStroke() {
-    if (selectedShapeIndex !== -1 && shapes[selectedShapeIndex] && isEditable()) {
-        saveStateForUndo(); // Save state BEFORE change
+    if (isLayerEditable(selectedShapeIndex)) {
+        // One history step per picker interaction: 'input' ticks extend it, 'change' commits it
+        beginHistoryStep("Change stroke", [selectedShapeIndex], `stroke:${selectedShapeIndex}`);
         let col = color(strokeColorPicker.value());
         shapes[selectedShapeIndex].strokeColor = [red(col), green(col), blue(col)];
     }
 }
 function updateSelectedShapeStrokeWeight() {
-    if (selectedShapeIndex !== -1 && shapes[selectedShapeIndex] && isEditable()) {
-        saveStateForUndo(); // Save state BEFORE change
+    if (isLayerEditable(selectedShapeIndex)) {
+        beginHistoryStep("Change stroke weight", [selectedShapeIndex], `strokeW:${selectedShapeIndex}`); // Committed on 'change'
         shapes[selectedShapeIndex].strokeW = parseFloat(strokeWeightInput.value()) || 0;
     }
 }
 
+// --- Stats Form Functions ---
+function buildStatsForm() {
+    // Creates one labelled control per SHIP_STAT_SCHEMA entry inside #statsForm
+    for (let spec of SHIP_STAT_SCHEMA) {
+        let wrapper = createDiv().addClass('stat-field');
+        wrapper.parent(statsFormDiv);
+        let label = createElement('label', spec.label);
+        label.attribute('for', `stat_${spec.field}`); label.parent(wrapper);
+
+        let input;
+        if (spec.type === 'select') {
+            input = createSelect();
+            spec.options.forEach(opt => input.option(opt));
+            input.changed(() => handleStatInput(spec));
+        } else if (spec.type === 'textarea') {
+            input = createElement('textarea');
+            input.input(() => handleStatInput(spec));
+        } else {
+            input = createInput('', spec.type);
+            if (spec.type === 'number') { input.attribute('min', spec.min); input.attribute('max', spec.max); input.attribute('step', spec.step); }
+            input.input(() => handleStatInput(spec));
+        }
+        input.id(`stat_${spec.field}`);
+        input.parent(wrapper);
+        statInputs[spec.field] = input;
+    }
+}
+
+function validateStatValue(spec, rawValue) {
+    // Returns { value } for a usable entry or { error } describing why it was rejected
+    let raw = String(rawValue ?? '').trim();
+    if (spec.type === 'number') {
+        if (raw === '') return { error: `${spec.label} is required` };
+        let value = Number(raw);
+        if (isNaN(value)) return { error: `${spec.label} must be a number` };
+        if (spec.integer && !Number.isInteger(value)) return { error: `${spec.label} must be a whole number` };
+        if (value < spec.min || value > spec.max) return { error: `${spec.label} must be between ${spec.min} and ${spec.max}` };
+        return { value: value };
+    }
+    if (spec.required && raw === '') return { error: `${spec.label} is required` };
+    return { value: spec.type === 'textarea' ? String(rawValue ?? '') : raw };
+}
+
+function handleStatInput(spec) {
+    let input = statInputs[spec.field];
+    if (!input || !currentShipKey) return;
+    let result = validateStatValue(spec, input.value());
+    if (result.error) {
+        input.addClass('invalid'); input.attribute('title', result.error);
+        return; // Keep the last valid value until the entry is fixed
+    }
+    input.removeClass('invalid'); input.removeAttribute('title');
+    currentShipStats[spec.field] = result.value;
+    projectDirty = true;
+    if (spec.field === 'description' && descriptionDiv) descriptionDiv.html(result.value || "No description available.");
+    if (spec.field === 'size') updateReferencePanel(); // The size comparison is against this stat
+    if (spec.field === 'size' && flightMode) flightSource = getCurrentSpriteSource(); // The flying sprite is drawn at this size
+}
+
+function updateStatsForm() {
+    // Loads currentShipStats into the form (disabled when no ship is loaded)
+    for (let spec of SHIP_STAT_SCHEMA) {
+        let input = statInputs[spec.field];
+        if (!input) continue;
+        let value = currentShipStats[spec.field];
+        if (spec.type === 'select' && value !== undefined && !spec.options.includes(value)) {
+            input.option(value); spec.options.push(value); // Keep non-standard values from existing definitions
+        }
+        input.value(value ?? '');
+        input.removeClass('invalid'); input.removeAttribute('title');
+        input.elt.disabled = !currentShipKey;
+    }
+    if (descriptionDiv && currentShipStats.description) descriptionDiv.html(currentShipStats.description);
+}
+
+function formatShipStatsLines(stats, indent = '') {
+    // Stats as SHIP_DEFINITIONS-style lines (same grouping as ships.js); fields not set are left out
+    const groups = [
+        ['name', 'role', 'sizeCategory', 'size'],
+        ['baseMaxSpeed', 'baseThrust', 'baseTurnRateDegrees', 'baseHull', 'baseShield', 'shieldRecharge', 'cargoCapacity'],
+        ['armament', 'costCategory', 'description']
+    ];
+    return groups
+        .map(fields => fields.filter(field => stats[field] !== undefined)
+            .map(field => `${field}: ${typeof stats[field] === 'number' ? stats[field] : JSON.stringify(String(stats[field]))}`))
+        .filter(parts => parts.length > 0)
+        .map(parts => indent + parts.join(', ') + ',');
+}
+
+// --- Procedural Ship Functions ---
+// Procedural ships (definitions with a 'procedural' object) are drawn live by drawProceduralShip();
+// the form edits their parameters and 'Bake to Polygons' turns the frame on screen into ordinary layers.
+
+function buildProceduralForm() {
+    // Creates one labelled number input per PROCEDURAL_PARAM_SCHEMA entry inside #proceduralForm
+    for (let spec of PROCEDURAL_PARAM_SCHEMA) {
+        let wrapper = createDiv().addClass('stat-field');
+        wrapper.parent(proceduralFormDiv);
+        let label = createElement('label', spec.label);
+        label.attribute('for', `procedural_${spec.field}`); label.parent(wrapper);
+        let input = createInput('', 'number');
+        input.attribute('min', spec.min); input.attribute('max', spec.max); input.attribute('step', spec.step);
+        input.input(() => handleProceduralInput(spec));
+        input.changed(commitHistoryStep);
+        input.id(`procedural_${spec.field}`);
+        input.parent(wrapper);
+        proceduralInputs[spec.field] = input;
+    }
+}
+
+function handleProceduralInput(spec) {
+    let input = proceduralInputs[spec.field];
+    if (!input || !proceduralParams) return;
+    let result = validateStatValue(spec, input.value());
+    if (result.error) {
+        input.addClass('invalid'); input.attribute('title', result.error);
+        return; // Keep the last valid value until the entry is fixed
+    }
+    input.removeClass('invalid'); input.removeAttribute('title');
+    beginHistoryStep(`Change ${spec.label.toLowerCase()}`, [], `procedural:${spec.field}`); // Committed on 'change'
+    proceduralParams[spec.field] = result.value;
+}
+
+function updateProceduralForm() {
+    // Shows the form (and notice) only while a procedural ship is loaded, with its current parameters
+    if (proceduralNoticeSpan) proceduralNoticeSpan.style('display', proceduralParams ? 'inline' : 'none');
+    if (!proceduralFormDiv) return;
+    proceduralFormDiv.style('display', proceduralParams ? 'flex' : 'none');
+    if (!proceduralParams) return;
+    for (let spec of PROCEDURAL_PARAM_SCHEMA) {
+        let input = proceduralInputs[spec.field];
+        if (!input || input.elt === document.activeElement) continue; // Don't rewrite a value being typed
+        input.value(proceduralParams[spec.field]);
+        input.removeClass('invalid'); input.removeAttribute('title');
+    }
+}
+
+function validateProceduralParams(params) {
+    // Returns a description of the first unusable parameter, or null
+    if (!params || typeof params !== 'object') return "not an object";
+    for (let spec of PROCEDURAL_PARAM_SCHEMA) {
+        let result = validateStatValue(spec, params[spec.field]);
+        if (result.error) return result.error;
+    }
+    return null;
+}
+
+function bakeProceduralShip() {
+    if (!proceduralParams) return;
+    let layers = bakeProceduralLayers(proceduralParams, frameCount);
+    recordHistoryStep("Bake to polygons", null, () => {
+        shapes = layers; proceduralParams = null;
+        selectedShapeIndex = 0; selectedVertexIndices = [];
+        ensureMirrorLinks(selectedShapeIndex);
+    });
+    updateUIControls(); updateColorPickersFromSelection();
+}
+
+function bakeProceduralLayers(params, frame) {
+    // Editor layers (top first) matching what drawProceduralShip() draws on 'frame': the core over the star.
+    // Layers are opaque, so the star's alpha is dropped and the translucent core is blended onto the star's fill.
+    let round = n => +n.toFixed(4);
+    let hue = (frame * params.hueSpeed) % 360;
+    let star = [];
+    for (let i = 0; i < params.points; i++) {
+        for (let [step, radius] of [[i, params.outerRadius], [i + 0.5, params.innerRadius]]) {
+            let angle = step / params.points * Math.PI * 2;
+            star.push({ x: round(Math.cos(angle) * radius), y: round(Math.sin(angle) * radius) });
+        }
+    }
+    let starFill = hsbToRgb(hue, params.saturation, 70);
+    let layers = [{ vertexData: star, fillColor: starFill, strokeColor: hsbToRgb((hue + 40) % 360, min(100, params.saturation + 10), 90), strokeW: 2 }];
+    if (params.coreSize > 0) {
+        let alpha = (50 + (Math.sin(frame * params.pulseRate) + 1) * 50) / 255;
+        let coreColor = [0, 255, 150].map((c, j) => Math.round(c * alpha + starFill[j] * (1 - alpha)));
+        let core = [];
+        for (let i = 0; i < proceduralCoreSegments; i++) {
+            let angle = i / proceduralCoreSegments * Math.PI * 2;
+            core.push({ x: round(Math.cos(angle) * params.coreSize / 2), y: round(Math.sin(angle) * params.coreSize / 2) });
+        }
+        layers.unshift({ vertexData: core, fillColor: coreColor, strokeColor: [...coreColor], strokeW: 1 });
+    }
+    return layers;
+}
+
+// --- Layer Panel Functions ---
+// Lists 'shapes' top layer first: click a row to select, type to rename, drag rows to reorder.
+// Names and the hidden/locked flags live on the layers, so they go through history and into files.
+
+function updateLayerPanel() {
+    // Rows are rebuilt only when the layers change; a selection change just moves the highlight,
+    // so clicking into a name field doesn't replace it
+    if (!layerList) return;
+    let editable = isEditable();
+    let signature = JSON.stringify([editable, shapes.map(shape => [shape.name, shape.hidden, shape.locked, shape.fillColor, shape.strokeColor])]);
+    if (signature !== layerPanelSignature) {
+        layerPanelSignature = signature;
+        layerList.html('');
+        layerRows = shapes.map((shape, i) => buildLayerRow(shape, i, editable));
+    }
+    layerRows.forEach((row, i) => { if (i === selectedShapeIndex) row.addClass('current'); else row.removeClass('current'); });
+    let selected = editable ? shapes[selectedShapeIndex] : null;
+    if (duplicateLayerButton?.elt) duplicateLayerButton.elt.disabled = !selected;
+    if (deleteLayerButton?.elt) deleteLayerButton.elt.disabled = !selected || !!selected.locked;
+    if (copyButton?.elt) copyButton.elt.disabled = !shapes[selectedShapeIndex];
+    if (cutButton?.elt) cutButton.elt.disabled = !selected || !!selected.locked;
+    if (pasteButton?.elt) pasteButton.elt.disabled = !isEditable() && currentShipKey !== '--- New Blank ---';
+}
+
+function buildLayerRow(shape, index, editable) {
+    let row = createElement('li');
+    row.parent(layerList);
+    if (shape.hidden) row.addClass('hidden-layer');
+    if (shape.locked) row.addClass('locked-layer');
+    let swatch = createSpan('');
+    swatch.addClass('layer-swatch');
+    swatch.style('background-color', rgbToHex(shape.fillColor)); swatch.style('border-color', rgbToHex(shape.strokeColor));
+    swatch.parent(row);
+    let nameInput = createInput(shape.name || '');
+    nameInput.attribute('placeholder', `Layer ${shapes.length - index}`); // Numbered bottom up, as in exports
+    nameInput.input(() => renameLayer(index, nameInput.value()));
+    nameInput.changed(commitHistoryStep);
+    nameInput.parent(row);
+    let hideButton = createButton(shape.hidden ? 'Show' : 'Hide');
+    hideButton.mousePressed(() => toggleLayerFlag(index, 'hidden'));
+    hideButton.parent(row);
+    let lockButton = createButton(shape.locked ? 'Unlock' : 'Lock');
+    lockButton.mousePressed(() => toggleLayerFlag(index, 'locked'));
+    lockButton.parent(row);
+    row.mousePressed(() => selectLayer(index));
+
+    if (!editable) {
+        [nameInput, hideButton, lockButton].forEach(control => { control.elt.disabled = true; });
+        return row;
+    }
+    // Drag and drop: the dragged layer takes the position of the row it is dropped on
+    row.attribute('draggable', 'true');
+    row.elt.addEventListener('dragstart', event => { layerDragIndex = index; event.dataTransfer.effectAllowed = 'move'; });
+    row.elt.addEventListener('dragover', event => { event.preventDefault(); row.addClass('drop-target'); });
+    row.elt.addEventListener('dragleave', () => row.removeClass('drop-target'));
+    row.elt.addEventListener('drop', event => { event.preventDefault(); row.removeClass('drop-target'); moveLayer(layerDragIndex, index); });
+    row.elt.addEventListener('dragend', () => { layerDragIndex = -1; });
+    return row;
+}
+
+function selectLayer(index) {
+    if (index === selectedShapeIndex || !shapes[index]) return;
+    selectedShapeIndex = index; selectedVertexIndices = []; addingVertexMode = false; clearCrossLayerSelection();
+    ensureMirrorLinks(index);
+    updateUIControls(); updateColorPickersFromSelection();
+}
+
+function renameLayer(index, name) {
+    if (!isEditable() || !shapes[index]) return;
+    beginHistoryStep("Rename layer", [index], `layerName:${index}`); // Committed on 'change'
+    name = name.trim();
+    if (name) shapes[index].name = name; else delete shapes[index].name; // Unnamed layers show their number
+}
+
+function toggleLayerFlag(index, flag) {
+    // flag: 'hidden' or 'locked'. Only stored while set, so plain layers keep their original shape.
+    let shape = shapes[index];
+    if (!isEditable() || !shape) return;
+    let labels = { hidden: ["Hide layer", "Show layer"], locked: ["Lock layer", "Unlock layer"] };
+    recordHistoryStep(labels[flag][shape[flag] ? 1 : 0], [index], () => {
+        if (shape[flag]) delete shape[flag]; else shape[flag] = true;
+        if (index === selectedShapeIndex && !isLayerEditable(index)) { selectedVertexIndices = []; addingVertexMode = false; }
+    });
+    updateUIControls();
+}
+
+function moveLayer(from, to) {
+    if (!isEditable() || from === to || !shapes[from] || !shapes[to]) return;
+    let selectedLayer = shapes[selectedShapeIndex];
+    recordHistoryStep("Reorder layers", null, () => {
+        shapes.splice(to, 0, shapes.splice(from, 1)[0]);
+        selectedShapeIndex = selectedLayer ? shapes.indexOf(selectedLayer) : -1; // The selection follows its layer
+    });
+    updateUIControls();
+}
+
+function duplicateSelectedLayer() {
+    let index = selectedShapeIndex;
+    if (!isEditable() || !shapes[index]) return;
+    let copy = cloneHistoryData(shapes[index]);
+    delete copy.hidden; delete copy.locked;
+    copy.name = `${shapes[index].name || `Layer ${shapes.length - index}`} copy`;
+    recordHistoryStep("Duplicate layer", null, () => {
+        shapes.splice(index, 0, copy); // Directly above the original
+        selectedShapeIndex = index; selectedVertexIndices = [];
+        ensureMirrorLinks(selectedShapeIndex);
+    });
+    updateUIControls(); updateColorPickersFromSelection();
+}
+
+function deleteSelectedLayer() {
+    let index = selectedShapeIndex;
+    if (!isEditable() || !shapes[index]) return;
+    if (shapes[index].locked) { console.warn("Delete layer: the layer is locked."); return; }
+    recordHistoryStep("Delete layer", null, () => {
+        shapes.splice(index, 1);
+        selectedShapeIndex = -1; selectedVertexIndices = [];
+    });
+    draggingVertex = false; draggingShape = false;
+    updateUIControls(); updateColorPickersFromSelection();
+}
+
+// --- Clipboard Functions ---
+// The editor clipboard holds { format: CLIPBOARD_FORMAT_ID, kind: 'layers', layers: [...] } (top layer first)
+// or { format, kind: 'vertices', vertices: [{ x, y }, ...] }, plus the size stat of the ship copied from
+// ('shipSize'). It outlives ship switches, and copies also go to the system clipboard as JSON so another
+// tab's editor can paste them. Coordinates are relative to the ship's size, so with 'pasteTrueSize' they are
+// rescaled by sourceSize / targetSize to look as big on the target ship as on the source.
+
+function copySelection() {
+    // Copies the selected vertices (of every layer, in cross-layer mode) or else the selected layer.
+    // Returns the new clipboard contents, or null if nothing is selected.
+    let groups = getSelectedVertexGroups();
+    if (groups.length > 0) {
+        let vertices = groups.flatMap(g => [...g.indices].sort((a, b) => a - b).map(i => cloneHistoryData(shapes[g.layerIndex].vertexData[i])));
+        editorClipboard = { format: CLIPBOARD_FORMAT_ID, kind: 'vertices', vertices };
+    } else if (shapes[selectedShapeIndex]) {
+        let layer = cloneHistoryData(shapes[selectedShapeIndex]);
+        delete layer.hidden; delete layer.locked;
+        editorClipboard = { format: CLIPBOARD_FORMAT_ID, kind: 'layers', layers: [layer] };
+    } else {
+        return null;
+    }
+    let shipSize = getShipDrawSize() / pixelsPerUnit;
+    if (shipSize > 0) editorClipboard.shipSize = shipSize;
+    return editorClipboard;
+}
+
+function cutSelection() {
+    // Copies, then deletes what was copied (each layer must keep at least 3 vertices); returns the clipboard contents
+    let groups = getSelectedVertexGroups();
+    let layer = shapes[selectedShapeIndex];
+    if (groups.length > 0) {
+        let cuts = groups.map(g => ({ shape: shapes[g.layerIndex], indices: symmetryMode ? withMirrorPartners(shapes[g.layerIndex], g.indices) : g.indices }));
+        if (cuts.some(cut => cut.shape.vertexData.length - cut.indices.length < 3)) { alert("Cut: every layer must keep at least 3 vertices."); return null; }
+        let clip = copySelection();
+        let count = cuts.reduce((total, cut) => total + cut.indices.length, 0);
+        recordHistoryStep(count === 1 ? "Cut vertex" : `Cut ${count} vertices`, groups.map(g => g.layerIndex), () => {
+            cuts.forEach(cut => deleteVertices(cut.shape, cut.indices));
+            selectedVertexIndices = []; clearCrossLayerSelection();
+        });
+        updateUIControls();
+        return clip;
+    }
+    if (!isEditable() || !layer) return null;
+    if (layer.locked) { console.warn("Cut layer: the layer is locked."); return null; }
+    let clip = copySelection();
+    let index = selectedShapeIndex;
+    recordHistoryStep("Cut layer", null, () => {
+        shapes.splice(index, 1);
+        selectedShapeIndex = -1; selectedVertexIndices = [];
+    });
+    updateUIControls(); updateColorPickersFromSelection();
+    return clip;
+}
+
+function pasteClipboard(clip = editorClipboard) {
+    // Layers are inserted above the selected layer (on top if none is selected). Vertices go into the
+    // selected layer after its last selected vertex (at the end if none is), or become a new layer.
+    if (!clip || (!isEditable() && currentShipKey !== '--- New Blank ---')) return;
+    editorClipboard = clip;
+    let factor = getPasteScale(clip);
+    let scaled = vertices => vertices.map(v => scaleClipboardVertex(v, factor));
+    if (clip.kind === 'layers') {
+        let index = max(selectedShapeIndex, 0);
+        let copies = cloneHistoryData(clip.layers).map(layer => ({ ...layer, vertexData: scaled(layer.vertexData) }));
+        recordHistoryStep(copies.length === 1 ? "Paste layer" : `Paste ${copies.length} layers`, null, () => {
+            shapes.splice(index, 0, ...copies);
+            selectedShapeIndex = index; selectedVertexIndices = []; clearCrossLayerSelection();
+            ensureMirrorLinks(selectedShapeIndex);
+        });
+    } else if (isLayerEditable(selectedShapeIndex)) {
+        let shape = shapes[selectedShapeIndex];
+        let after = selectedVertexIndices.length > 0 ? Math.max(...selectedVertexIndices) : shape.vertexData.length - 1;
+        recordHistoryStep(clip.vertices.length === 1 ? "Paste vertex" : `Paste ${clip.vertices.length} vertices`, [selectedShapeIndex], () => {
+            let pasted = scaled(clip.vertices).map((v, i) => insertVertexAfter(shape, after + i, v));
+            selectedVertexIndices = pasted; clearCrossLayerSelection();
+        });
+    } else {
+        if (clip.vertices.length < 3) { alert("Paste: select a layer to add the copied vertices to (a new layer needs at least 3)."); return; }
+        let layer = { vertexData: scaled(clip.vertices), fillColor: [150, 150, 180], strokeColor: [50, 50, 60], strokeW: 1 };
+        recordHistoryStep("Paste vertices as layer", null, () => {
+            shapes.splice(0, 0, layer);
+            selectedShapeIndex = 0; selectedVertexIndices = []; clearCrossLayerSelection();
+            ensureMirrorLinks(selectedShapeIndex);
+        });
+    }
+    updateUIControls(); updateColorPickersFromSelection();
+}
+
+function getPasteScale(clip) {
+    // Factor for the clipboard's relative coordinates on the ship being edited (1 if sizes are unknown or pasteTrueSize is off)
+    let targetSize = getShipDrawSize() / pixelsPerUnit;
+    if (!pasteTrueSize || !(clip.shipSize > 0) || !(targetSize > 0)) return 1;
+    return clip.shipSize / targetSize;
+}
+
+function scaleClipboardVertex(v, factor) {
+    // A copy of vertex 'v' with its position and curve handles (offsets from it) scaled about the ship's centre
+    let copy = cloneHistoryData(v);
+    if (factor === 1) return copy;
+    copy.x *= factor; copy.y *= factor;
+    for (let handle of ['handleIn', 'handleOut']) if (copy[handle]) { copy[handle].x *= factor; copy[handle].y *= factor; }
+    return copy;
+}
+
+function handleClipboardEvent(event) {
+    // Ctrl+C / Ctrl+X / Ctrl+V on the editor (not in a form field, and with no page text selected)
+    if (isTypingInFormField() || flightMode) return;
+    if (event.type === 'paste') {
+        let clip = parseClipboardText(event.clipboardData?.getData('text/plain') || '');
+        pasteClipboard(clip || editorClipboard); // Other text on the clipboard: paste the editor's own copy
+        event.preventDefault();
+        return;
+    }
+    if (window.getSelection && String(window.getSelection()) !== '') return; // Copying page text
+    let clip = event.type === 'cut' ? cutSelection() : copySelection();
+    if (!clip) return;
+    event.clipboardData.setData('text/plain', JSON.stringify(clip));
+    event.preventDefault();
+}
+
+function writeSystemClipboard(clip) {
+    // For the Copy / Cut buttons, which don't get a clipboard event; the editor clipboard works without it
+    if (!clip || !navigator.clipboard?.writeText) return;
+    navigator.clipboard.writeText(JSON.stringify(clip)).catch(e => console.warn("Could not write the system clipboard:", e));
+}
+
+function pasteFromSystemClipboard() {
+    // The Paste button: editor JSON on the system clipboard (if the browser lets us read it), else the editor clipboard
+    if (!navigator.clipboard?.readText) { pasteClipboard(); return; }
+    navigator.clipboard.readText()
+        .then(text => pasteClipboard(parseClipboardText(text) || editorClipboard))
+        .catch(() => pasteClipboard());
+}
+
+function parseClipboardText(text) {
+    // Editor clipboard JSON (or a project file's layers) as clipboard contents; null for anything else
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return null; }
+    if (data?.format === PROJECT_FORMAT_ID && Array.isArray(data.layers)) {
+        data = { format: CLIPBOARD_FORMAT_ID, kind: 'layers', layers: data.layers, shipSize: typeof data.size === 'number' ? data.size : data.stats?.size };
+    }
+    if (data?.format !== CLIPBOARD_FORMAT_ID) return null;
+    let sized = clip => typeof data.shipSize === 'number' && data.shipSize > 0 ? { ...clip, shipSize: data.shipSize } : clip; // Older copies have no size
+    if (data.kind === 'layers' && Array.isArray(data.layers) && data.layers.length > 0) {
+        let problem = data.layers.map(validateShapeLayer).find(p => p);
+        if (problem) { console.warn("Paste: clipboard layer ignored -", problem); return null; }
+        return sized({ format: CLIPBOARD_FORMAT_ID, kind: 'layers', layers: data.layers });
+    }
+    if (data.kind === 'vertices' && Array.isArray(data.vertices) && data.vertices.length > 0 && data.vertices.every(v => !validateVertex(v))) {
+        return sized({ format: CLIPBOARD_FORMAT_ID, kind: 'vertices', vertices: data.vertices });
+    }
+    return null;
+}
+
+function flipSelection(direction) {
+    // Mirrors the selected vertices (2 or more) or the selected layer about the transform pivot:
+    // 'horizontal' swaps left and right (x), 'vertical' top and bottom (y)
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    let shape = shapes[selectedShapeIndex];
+    let indices = getTransformTargetIndices(shape);
+    let pivot = getTransformPivot(shape, getTransformBox(shape, indices));
+    let initial = getTransformStart(shape, indices);
+    let what = indices.length === shape.vertexData.length ? 'layer' : `${indices.length} vertices`;
+    let horizontal = direction === 'horizontal';
+    recordHistoryStep(`Flip ${what} ${direction}ly`, [selectedShapeIndex], () => transformVertices(shape, initial, pivot, 0, horizontal ? -1 : 1, horizontal ? 1 : -1));
+    updateUIControls();
+}
+
+// --- Vertex Selection Functions ---
+// 'selectedVertexIndices' belongs to the selected layer. In cross-layer mode other layers' selected
+// vertices are kept in 'crossLayerSelection' (keyed by layer object, so reordering layers keeps them).
+
+function getSelectedVertexGroups() {
+    // [{ layerIndex, indices }] for every editable layer with selected vertices, the selected layer first
+    let groups = [];
+    if (isLayerEditable(selectedShapeIndex) && selectedVertexIndices.length > 0) groups.push({ layerIndex: selectedShapeIndex, indices: [...selectedVertexIndices] });
+    if (!crossLayerSelect) return groups;
+    crossLayerSelection.forEach((indices, shape) => {
+        let layerIndex = shapes.indexOf(shape);
+        if (layerIndex === selectedShapeIndex || !isLayerEditable(layerIndex)) return;
+        let valid = indices.filter(i => i < shape.vertexData.length);
+        if (valid.length > 0) groups.push({ layerIndex, indices: valid });
+    });
+    return groups;
+}
+
+function setSelectedVertexGroups(groups) {
+    // The selected layer stays selected if it has selected vertices, otherwise the first group's layer is selected
+    groups = groups.filter(g => g.indices.length > 0);
+    let main = groups.find(g => g.layerIndex === selectedShapeIndex) || groups[0];
+    clearCrossLayerSelection();
+    if (!main) { selectedVertexIndices = []; return; }
+    if (main.layerIndex !== selectedShapeIndex) { selectedShapeIndex = main.layerIndex; ensureMirrorLinks(selectedShapeIndex); updateColorPickersFromSelection(); }
+    selectedVertexIndices = [...main.indices];
+    for (let g of groups) if (g !== main) crossLayerSelection.set(shapes[g.layerIndex], [...g.indices]);
+}
+
+function clearCrossLayerSelection() {
+    crossLayerSelection = new Map();
+}
+
+function deselectAll() {
+    if (selectedShapeIndex === -1 && crossLayerSelection.size === 0) return;
+    selectedShapeIndex = -1; selectedVertexIndices = []; clearCrossLayerSelection();
+    updateColorPickersFromSelection();
+}
+
+function startVertexDrag(layerIndex, grabbedIndex, mx_rel, my_rel) {
+    // Drags every selected vertex (on all layers in cross-layer mode); snapping follows the grabbed one
+    let groups = getSelectedVertexGroups();
+    let count = groups.reduce((total, g) => total + g.indices.length, 0);
+    // Open step BEFORE the drag; it is committed on release (and only recorded if something moved)
+    beginHistoryStep(count === 1 ? "Move vertex" : `Move ${count} vertices`, groups.map(g => g.layerIndex));
+    draggingVertex = true; // Set flag AFTER opening the step
+    draggingShape = false;
+    dragVertexStartX = mx_rel; dragVertexStartY = my_rel;
+    dragVertexInitialPositions = [];
+    for (let g of groups) {
+        let shape = shapes[g.layerIndex];
+        g.indices.forEach(idx => {
+            let v = shape.vertexData[idx];
+            if (!v) return;
+            let entry = { index: idx, x: v.x, y: v.y };
+            if (g.layerIndex !== selectedShapeIndex) entry.shape = shape;
+            dragVertexInitialPositions.push(entry);
+        });
+    }
+    let anchor = shapes[layerIndex].vertexData[grabbedIndex]; // Snapping is measured from the grabbed vertex
+    dragSnapAnchor = { x: anchor.x, y: anchor.y };
+}
+
+function finishMarquee(r) {
+    // Selects the vertices inside the marquee: replacing the selection, adding to it (Shift) or removing from it (ALT)
+    let minX = min(marquee.startX, marquee.endX) / r, maxX = max(marquee.startX, marquee.endX) / r;
+    let minY = min(marquee.startY, marquee.endY) / r, maxY = max(marquee.startY, marquee.endY) / r;
+    let layerIndices = crossLayerSelect ? shapes.map((_, i) => i) : [selectedShapeIndex];
+    let selection = new Map();
+    if (marquee.mode !== 'replace') for (let g of getSelectedVertexGroups()) selection.set(g.layerIndex, new Set(g.indices));
+    for (let layerIndex of layerIndices.filter(isLayerEditable)) {
+        let selected = selection.get(layerIndex) || new Set();
+        shapes[layerIndex].vertexData.forEach((v, i) => {
+            if (v.x < minX || v.x > maxX || v.y < minY || v.y > maxY) return;
+            if (marquee.mode === 'subtract') selected.delete(i); else selected.add(i);
+        });
+        selection.set(layerIndex, selected);
+    }
+    setSelectedVertexGroups([...selection].map(([layerIndex, selected]) => ({ layerIndex, indices: [...selected].sort((a, b) => a - b) })));
+}
+
+function drawMarquee() {
+    push();
+    stroke(0, 120, 255); strokeWeight(1); fill(0, 120, 255, marquee.mode === 'subtract' ? 15 : 35);
+    rectMode(CORNERS); rect(marquee.startX, marquee.startY, marquee.endX, marquee.endY);
+    pop();
+}
+
+function drawCrossLayerHandles(r) {
+    // Small handles on the other editable layers so their vertices can be picked; selected ones in red
+    strokeWeight(1);
+    shapes.forEach((shape, layerIndex) => {
+        if (layerIndex === selectedShapeIndex || !isLayerEditable(layerIndex)) return;
+        let selected = crossLayerSelection.get(shape) || [];
+        shape.vertexData.forEach((v, i) => {
+            if (selected.includes(i)) { fill(255, 0, 0, 200); stroke(150, 0, 0); }
+            else { fill(255, 255, 255, 160); stroke(0, 50, 150, 160); }
+            ellipse(v.x * r, v.y * r, vertexHandleSize / 3, vertexHandleSize / 3);
+        });
+    });
+}
+
+function toggleCrossLayerSelect() {
+    crossLayerSelect = !!crossLayerCheckbox?.elt.checked;
+    if (!crossLayerSelect) clearCrossLayerSelection();
+}
+
+function selectAllVertices() {
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    selectedVertexIndices = shapes[selectedShapeIndex].vertexData.map((_, i) => i);
+    updateUIControls();
+}
+
+function invertVertexSelection() {
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    selectedVertexIndices = shapes[selectedShapeIndex].vertexData.map((_, i) => i).filter(i => !selectedVertexIndices.includes(i));
+    updateUIControls();
+}
+
+// --- Vertex Inspector Functions ---
+// Table of the selected layer's vertexData: type exact coordinates, click an index to select
+// (Shift+Click to multi-select), '+' inserts a vertex after the row and 'x' deletes it.
+
+function updateVertexInspector() {
+    // Rows are rebuilt only when the layer or its vertex count changes; values are refreshed in place
+    // (except the field being typed in), so dragging on the canvas updates the table live
+    if (!vertexTableBody) return;
+    let shape = shapes[selectedShapeIndex];
+    let editable = isLayerEditable(selectedShapeIndex);
+    let signature = JSON.stringify([selectedShapeIndex, editable, shape?.vertexData?.length ?? -1]);
+    if (signature !== vertexInspectorSignature) {
+        vertexInspectorSignature = signature;
+        vertexTableBody.html('');
+        vertexRows = (shape?.vertexData || []).map((_, i) => buildVertexRow(i, editable));
+        if (vertexInspectorNote) vertexInspectorNote.html(!shape ? 'Select a layer to list its vertices.' : editable ? '' : 'This layer is hidden, locked or read-only.');
+    }
+    vertexRows.forEach(({ row, xInput, yInput }, i) => {
+        let v = shape.vertexData[i];
+        if (selectedVertexIndices.includes(i)) row.addClass('selected'); else row.removeClass('selected');
+        if (xInput.elt !== document.activeElement) xInput.value(formatInspectorValue(v.x));
+        if (yInput.elt !== document.activeElement) yInput.value(formatInspectorValue(v.y));
+    });
+    let canOffset = editable && selectedVertexIndices.length > 0;
+    [vertexOffsetXInput, vertexOffsetYInput, applyVertexOffsetButton].forEach(control => { if (control?.elt) control.elt.disabled = !canOffset; });
+}
+
+function buildVertexRow(index, editable) {
+    let row = createElement('tr');
+    row.parent(vertexTableBody);
+    let indexCell = createElement('td', String(index));
+    indexCell.addClass('vertex-index');
+    indexCell.mousePressed(() => selectInspectorVertex(index));
+    indexCell.parent(row);
+    let inputs = ['x', 'y'].map(axis => {
+        let cell = createElement('td');
+        cell.parent(row);
+        let input = createInput('', 'number');
+        input.attribute('step', '0.01');
+        input.input(() => editVertexValue(index, axis, input.value()));
+        input.changed(commitHistoryStep);
+        input.parent(cell);
+        return input;
+    });
+    let actionCell = createElement('td');
+    actionCell.parent(row);
+    let insertButton = createButton('+');
+    insertButton.attribute('title', 'Insert a vertex after this one (midway to the next)');
+    insertButton.mousePressed(() => insertVertexAfterRow(index));
+    insertButton.parent(actionCell);
+    let deleteButton = createButton('x');
+    deleteButton.attribute('title', 'Delete this vertex');
+    deleteButton.mousePressed(() => { if (isLayerEditable(selectedShapeIndex)) deleteLayerVertices([index]); });
+    deleteButton.parent(actionCell);
+    if (!editable) [...inputs, insertButton, deleteButton].forEach(control => { control.elt.disabled = true; });
+    return { row, xInput: inputs[0], yInput: inputs[1] };
+}
+
+function formatInspectorValue(value) {
+    return String(Number(value.toFixed(inspectorDecimals))); // Drops trailing zeros (0.5 rather than 0.5000)
+}
+
+function selectInspectorVertex(index) {
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    let at = selectedVertexIndices.indexOf(index);
+    if (keyIsDown(SHIFT)) { if (at !== -1) selectedVertexIndices.splice(at, 1); else selectedVertexIndices.push(index); }
+    else selectedVertexIndices = [index];
+    updateUIControls();
+}
+
+function editVertexValue(index, axis, text) {
+    // Typing in a coordinate: one undo step per field edit (committed on 'change'); partial input such as '-' is ignored
+    let shape = shapes[selectedShapeIndex];
+    let value = parseFloat(text);
+    if (!isLayerEditable(selectedShapeIndex) || !shape.vertexData[index] || !isFinite(value)) return;
+    beginHistoryStep("Edit vertex", [selectedShapeIndex], `vertexValue:${selectedShapeIndex}:${index}:${axis}`);
+    shape.vertexData[index][axis] = value;
+    if (symmetryMode) applyMirrorConstraints(shape, [index]);
+    updateVertexInspector();
+}
+
+function offsetSelectedVertices() {
+    // Moves every selected vertex by the typed (relative unit) offsets
+    let shape = shapes[selectedShapeIndex];
+    if (!isLayerEditable(selectedShapeIndex) || selectedVertexIndices.length === 0) return;
+    let dx = parseFloat(vertexOffsetXInput?.value()) || 0, dy = parseFloat(vertexOffsetYInput?.value()) || 0;
+    if (dx === 0 && dy === 0) return;
+    let indices = selectedVertexIndices.filter(i => shape.vertexData[i]);
+    recordHistoryStep(indices.length === 1 ? "Offset vertex" : `Offset ${indices.length} vertices`, [selectedShapeIndex], () => {
+        for (let i of indices) { shape.vertexData[i].x += dx; shape.vertexData[i].y += dy; }
+        if (symmetryMode) applyMirrorConstraints(shape, indices);
+    });
+    updateUIControls();
+}
+
+function insertVertexAfterRow(index) {
+    let shape = shapes[selectedShapeIndex];
+    if (!isLayerEditable(selectedShapeIndex) || !shape.vertexData[index]) return;
+    recordHistoryStep("Add vertex", [selectedShapeIndex], () => addVertexOnEdge(shape, index)); // Also adds the mirrored vertex in symmetry mode
+    selectedVertexIndices = [];
+    updateUIControls();
+}
+
 // --- Action Functions ---
 function addNewShape() {
     if (!isEditable() && currentShipKey !== '--- New Blank ---') return;
-    saveStateForUndo(); // Save state BEFORE adding
+    beginHistoryStep("Add layer"); // Open step BEFORE adding
     let defaultShape = {
         vertexData: [{ x: -0.2, y: 0.2 }, { x: 0.2, y: 0.2 }, { x: 0, y: -0.2 }],
         fillColor: [150, 150, 180], strokeColor: [50, 50, 60], strokeW: 1
     };
-    shapes.unshift(defaultShape); // Add to top
-    selectedShapeIndex = 0; selectedVertexIndices = []; // Select new shape
+    let insertAt = shapes[selectedShapeIndex] ? selectedShapeIndex : 0; // Just above the selected layer, else on top
+    shapes.splice(insertAt, 0, defaultShape);
+    selectedShapeIndex = insertAt; selectedVertexIndices = []; // Select new shape
+    ensureMirrorLinks(selectedShapeIndex);
     if (currentShipKey === null || currentShipKey === 'Select a Ship...') {
         currentShipKey = '--- New Blank ---'; currentShipDef = null;
     }
+    commitHistoryStep();
     updateUIControls(); updateColorPickersFromSelection();
 }
 
 function toggleAddVertexMode() {
-    if (selectedShapeIndex !== -1 && isEditable() && shapes[selectedShapeIndex]) {
+    if (isLayerEditable(selectedShapeIndex)) {
         addingVertexMode = !addingVertexMode;
         if (addingVertexMode) { // Reset interaction state when entering mode
             draggingVertex = false; selectedVertexIndices = []; draggingShape = false;
@@ -710,9 +2755,8 @@ function toggleAddVertexMode() {
 }
 
 function handleStraightenClick() {
-    if (selectedShapeIndex !== -1 && isEditable() && shapes[selectedShapeIndex]) {
-        saveStateForUndo(); // Save state BEFORE modifying vertices
-        straightenMirroredVertices(shapes[selectedShapeIndex], straightenThreshold);
+    if (isLayerEditable(selectedShapeIndex)) {
+        recordHistoryStep("Straighten symmetry", [selectedShapeIndex], () => straightenMirroredVertices(shapes[selectedShapeIndex], straightenThreshold));
     }
 }
 
@@ -757,124 +2801,2451 @@ function straightenMirroredVertices(shape, threshold) {
     else console.log("Straighten Symmetry: No adjustments needed.");
 }
 
-// Inside editor.js
-function exportDrawFunctionCode() {
-    // Generates JavaScript code for a draw function AND the first layer's data format
-    let baseName = 'CustomShip';
-    if (currentShipDef && currentShipKey !== '--- New Blank ---') {
-        baseName = currentShipKey.replace(/\s+/g, '').replace('Mk', 'Mk');
-    }
-    let functionName = `draw${baseName}_Edited`;
-    let code = [];
-    code.push(`// --- Generated Export for ${baseName} (Edited) ---`);
-    code.push(`// --- Contains ${shapes.length} shape layer(s) ---`);
-    code.push(`//`);
+// --- Thruster Functions ---
+// Engine glow is edited as data: ellipses centred at (x, y) with radii rx, ry (relative units, like
+// vertexData) and an [r, g, b, a] colour. Exports turn them into generated 'if (thrusting)' code, except
+// that a loaded ship whose thrusters weren't edited keeps its own glow code (see buildEngineGlowCodeLines()).
 
-    // --- Format 1: First Layer Data (as requested) ---
-    code.push(`// --- Format 1: Data for the First Shape Layer (Index 0) ---`);
-    if (shapes.length > 0 && shapes[0] && shapes[0].vertexData && shapes[0].vertexData.length >= 2) {
-        let firstShape = shapes[0];
-        let vertexDataString = 'vertexData: [ ';
-        vertexDataString += firstShape.vertexData.map(v => `{ x: ${v.x.toFixed(4)}, y: ${v.y.toFixed(4)} }`).join(', ');
-        vertexDataString += ' ],';
-        code.push(vertexDataString);
+function thrustersFromDefinition(def, warn = false) {
+    // With 'warn', glow calls that can't be read are shown in the thruster note (for the ship being loaded)
+    let code = getEngineGlowSource(def);
+    return thrustersFromGlowCode(code, warn ? skipped => {
+        console.warn(`Thrusters for ${def?.name}: could not read ${skipped.join(', ')}`);
+        setThrusterNote(`${describeSkippedGlowCalls(skipped)}. ${canKeepOriginalGlow(code) ? 'The original glow code is kept in exports until the thrusters are edited.' : 'Exports will only have the thrusters.'}`);
+    } : null);
+}
 
-        let fillColorString = `fillColor: [${firstShape.fillColor ? firstShape.fillColor.map(c => Math.round(c)).join(', ') : '180, 180, 180'}],`;
-        code.push(`        ${fillColorString}`); // Indent for readability within the block
+function thrustersFromGlowCode(code, reportSkipped = null) {
+    // Reads the ellipse()/rect() calls of a glow block (rects become the ellipse inside them).
+    // Calls that can't be evaluated (e.g. animated colours) are left out and passed to reportSkipped if given.
+    if (!code) return [];
+    let parsed = parseEngineGlowShapes(code, 1);
+    if (reportSkipped && parsed.skipped.length > 0) reportSkipped(parsed.skipped);
+    let round = n => +n.toFixed(4);
+    return parsed.shapes.map(g => {
+        let x = g.type === 'ellipse' ? g.x : g.x + g.w / 2, y = g.type === 'ellipse' ? g.y : g.y + g.h / 2;
+        let rgba = g.fill ? g.fill.map(c => Math.round(constrain(c, 0, 255))) : [...defaultThrusterColor];
+        return { x: round(x), y: round(y), rx: round(abs(g.w) / 2), ry: round(abs(g.h) / 2), color: rgba };
+    });
+}
 
-        let strokeColorString = `strokeColor: [${firstShape.strokeColor ? firstShape.strokeColor.map(c => Math.round(c)).join(', ') : '50, 50, 50'}],`;
-        code.push(`        ${strokeColorString}`); // Indent
+function describeSkippedGlowCalls(skipped) {
+    return `${skipped.length === 1 ? '1 engine glow call' : `${skipped.length} engine glow calls`} could not be read as thrusters (${skipped.join(', ')})`;
+}
 
-        let strokeWString = `strokeW: ${typeof firstShape.strokeW === 'number' ? firstShape.strokeW.toFixed(2) : 1}`;
-        code.push(`        ${strokeWString}`); // Indent
-    } else {
-        code.push(`// --- No valid first shape layer found to export data for ---`);
-    }
-    code.push(`// --- End Format 1 ---`);
-    code.push(``);
-    code.push(`//`);
+function alertSkippedGlowCalls(label, skipped) {
+    // For imported glow code, which is only kept as thruster data
+    console.warn(`Thrusters for ${label}: could not read ${skipped.join(', ')}`);
+    alert(`${label}: ${describeSkippedGlowCalls(skipped)}, so ${skipped.length === 1 ? 'it was' : 'they were'} left out.`);
+}
 
-    // --- Format 2: Full Draw Function (existing logic) ---
-    code.push(`// --- Format 2: Complete Draw Function (Includes All Layers) ---`);
-    code.push(`// --- Base Ship Size (for reference): ${currentShipDef ? currentShipDef.size : 'N/A (Custom)'} ---`);
-    code.push(`function ${functionName}(s, thrusting = false) {`);
-    code.push(`    let r = s / 2; // Calculate radius based on the desired draw size 's'`);
-    code.push(``);
-    // Iterate shapes in reverse drawing order (bottom first)
-    for (let i = shapes.length - 1; i >= 0; i--) {
-        let shape = shapes[i];
-        if (!shape?.vertexData || shape.vertexData.length < 2) continue;
-        code.push(`    // --- Shape Layer ${shapes.length - i} (Index ${i} in editor) ---`);
-        code.push(`    fill(${shape.fillColor ? shape.fillColor.map(c => Math.round(c)).join(', ') : '150, 150, 150'});`); // Use Math.round for cleaner output
-        code.push(`    stroke(${shape.strokeColor ? shape.strokeColor.map(c => Math.round(c)).join(', ') : '50, 50, 50'});`); // Use Math.round
-        code.push(`    strokeWeight(max(0.5, ${typeof shape.strokeW === 'number' ? shape.strokeW.toFixed(2) : 1}));`); // keep max for safety
-        code.push(`    beginShape();`);
-        shape.vertexData.forEach(v => {
-            if (typeof v?.x === 'number' && typeof v?.y === 'number') {
-                code.push(`    vertex(r * ${v.x.toFixed(4)}, r * ${v.y.toFixed(4)});`);
-            }
-        });
-        code.push(`    endShape(CLOSE);`); code.push(``);
-    };
-    // Attempt to copy engine glow code
-    if (currentShipDef && currentShipKey !== '--- New Blank ---' && currentShipDef.drawFunction) {
-        try {
-            let originalFuncStr = currentShipDef.drawFunction.toString();
-            // More robust regex to capture the 'if (thrusting)' block, handling variations in spacing and potential comments
-            let engineGlowMatch = originalFuncStr.match(/if\s*\(\s*thrusting\s*\)\s*\{([\s\S]*?)\}\s*(?:;|\n|\r\n)?\s*(?![^{]*\{)/);
-
-            if (engineGlowMatch && engineGlowMatch[1]) {
-                code.push(`    // --- Engine glow (attempted copy from original base: ${currentShipDef.name}) ---`);
-                // Basic re-indentation
-                let glowCode = engineGlowMatch[1].trim().split('\n').map(line => '    ' + line.trim()).join('\n');
-                code.push(`    if (thrusting) {`); code.push(glowCode); code.push(`    }`); code.push(``);
-            } else {
-                console.warn(`Engine glow block not matched in ${currentShipDef.name}. Regex might need adjustment or function structure differs.`);
-                code.push(`    // --- Engine glow code not found or matched in base function structure ---`); code.push(``);
-            }
-        } catch (e) { console.error("Error copying engine glow code:", e); code.push(`    // --- Error encountered trying to copy engine glow code ---`); code.push(``); }
-    } else { code.push(`    // --- No engine glow defined for base (or custom ship) ---`); code.push(``); }
-    code.push(`}`); code.push(`// --- End Format 2 ---`);
-    code.push(`// --- End Generated Function ---`); // Kept original ending comment
+function setThrusterNote(text) {
+    if (thrusterNoteSpan) thrusterNoteSpan.html(text ? escapeXml(text) : '');
+}
 
-    saveStrings(code, `${functionName}_ExportData.js`, 'js'); // Update filename slightly
+function canKeepOriginalGlow(code) {
+    // True if glow code only uses what a generated draw function also has (r, s, def, thrusting and
+    // globals), so it can be copied into one unchanged
+    let allowed = new Set(['r', 's', 'def', 'thrusting', 'frameCount', 'width', 'height', 'Math', 'let', 'const', 'if', 'else', 'for', 'of', 'true', 'false', 'null']);
+    let text = code.replace(/(["'`])(?:\\.|(?!\1)[^\\])*\1/g, '""'); // Strings can't refer to anything
+    return [...text.matchAll(/(^|[^.\w$])([A-Za-z_$][\w$]*)(?![\w$]|\s*\()/g)].every(m => allowed.has(m[2]) || /^[A-Z][A-Z0-9_]*$/.test(m[2]));
 }
 
-// --- Utility Functions ---
-function isPointInPolygon(px, py, polygonVertices) {
-    if (!polygonVertices || polygonVertices.length < 3) return false;
-    let isInside = false;
-    for (let i = 0, j = polygonVertices.length - 1; i < polygonVertices.length; j = i++) {
-        let vi = polygonVertices[i]; let vj = polygonVertices[j];
-        if (typeof vi?.x !== 'number' || typeof vi?.y !== 'number' || typeof vj?.x !== 'number' || typeof vj?.y !== 'number') { continue; }
-        let xi = vi.x, yi = vi.y; let xj = vj.x, yj = vj.y;
-        if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) { isInside = !isInside; }
-    } return isInside;
+function thrusterGlowShapes(thrusterList, r) {
+    // Thrusters at radius r in the parseEngineGlowShapes() format (for drawEngineGlowShapes() and SVG export)
+    return thrusterList.map(t => ({ type: 'ellipse', x: t.x * r, y: t.y * r, w: t.rx * 2 * r, h: t.ry * 2 * r, fill: t.color, stroke: null, strokeW: 1 }));
 }
 
-function findClosestEdgeRelative(shape, mx_rel_shape, my_rel_shape) {
-    let minDistSq = Infinity; let closestEdgeIndex = -1;
-    if (!shape?.vertexData || shape.vertexData.length < 2) return null;
-    for (let i = 0; i < shape.vertexData.length; i++) {
-        let v1 = shape.vertexData[i]; let v2 = shape.vertexData[(i + 1) % shape.vertexData.length];
-        if (typeof v1?.x !== 'number' || typeof v1?.y !== 'number' || typeof v2?.x !== 'number' || typeof v2?.y !== 'number') continue;
-        let distSq = distSqToSegment(mx_rel_shape, my_rel_shape, v1.x, v1.y, v2.x, v2.y);
-        if (distSq < minDistSq) { minDistSq = distSq; closestEdgeIndex = i; }
-    }
-    if (closestEdgeIndex !== -1) { return { index: closestEdgeIndex, distSq: minDistSq }; }
+function validateThruster(t) {
+    if (!t || typeof t !== 'object') return "not an object";
+    if (['x', 'y', 'rx', 'ry'].some(k => typeof t[k] !== 'number' || isNaN(t[k]))) return "x, y, rx and ry must be numbers";
+    if (t.rx < 0 || t.ry < 0) return "radii must not be negative";
+    if (!Array.isArray(t.color) || t.color.length !== 4 || t.color.some(c => typeof c !== 'number' || isNaN(c))) return "color must be [r, g, b, a]";
     return null;
 }
 
-function distSqToSegment(px, py, x1, y1, x2, y2) {
-    let l2 = distSq(x1, y1, x2, y2); if (l2 === 0) return distSq(px, py, x1, y1);
-    let t = ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / l2;
-    t = Math.max(0, Math.min(1, t));
-    let projX = x1 + t * (x2 - x1); let projY = y1 + t * (y2 - y1);
-    return distSq(px, py, projX, projY);
+function drawThrusters(r) {
+    drawEngineGlowShapes(thrusterGlowShapes(thrusters, r));
+    if (!thrusterEditMode) return;
+    push(); // Outlines, plus resize handles (right: rx, top: ry) on the selected thruster
+    noFill(); strokeWeight(1);
+    thrusters.forEach((t, i) => {
+        stroke(i === selectedThrusterIndex ? color(0, 150, 255) : color(255, 140, 0));
+        ellipse(t.x * r, t.y * r, t.rx * r, t.ry * r); // ellipseMode(RADIUS) is the editor default
+    });
+    let t = thrusters[selectedThrusterIndex];
+    if (t) {
+        fill(0, 150, 255); stroke(0, 50, 150);
+        for (let h of thrusterHandlePositions(t)) rect(h.x * r - 4, h.y * r - 4, 8, 8);
+    }
+    pop();
 }
 
-function distSq(x1, y1, x2, y2) {
-    let dx = x1 - x2; let dy = y1 - y2; return dx * dx + dy * dy;
+function thrusterHandlePositions(t) {
+    return [{ part: 'rx', x: t.x + t.rx, y: t.y }, { part: 'ry', x: t.x, y: t.y - t.ry }];
+}
+
+function handleThrusterPress(mx_rel, my_rel, interaction_r) {
+    // Selects the thruster (or handle) under the mouse and starts dragging it
+    let hit = null;
+    let t = thrusters[selectedThrusterIndex];
+    if (t) {
+        let handle = thrusterHandlePositions(t).find(h => distSq(mx_rel, my_rel, h.x * interaction_r, h.y * interaction_r) < grabRadius ** 2);
+        if (handle) hit = { index: selectedThrusterIndex, part: handle.part };
+    }
+    if (!hit) {
+        let px = mx_rel / interaction_r, py = my_rel / interaction_r;
+        for (let i = thrusters.length - 1; i >= 0 && !hit; i--) { // Topmost (last drawn) first
+            let c = thrusters[i];
+            let rx = Math.max(c.rx, grabRadius / interaction_r), ry = Math.max(c.ry, grabRadius / interaction_r); // Keep tiny ones clickable
+            if (((px - c.x) / rx) ** 2 + ((py - c.y) / ry) ** 2 <= 1) hit = { index: i, part: 'move' };
+        }
+    }
+    if (!hit) { selectedThrusterIndex = -1; return; }
+    selectedThrusterIndex = hit.index;
+    beginHistoryStep(hit.part === 'move' ? "Move thruster" : "Resize thruster", []); // Committed on release
+    draggingThruster = { ...hit, startX: mx_rel, startY: my_rel, initial: { ...thrusters[hit.index] } };
+}
+
+function dragThruster(mx_rel, my_rel, interaction_r) {
+    let t = thrusters[draggingThruster.index], initial = draggingThruster.initial;
+    if (!t || interaction_r <= 0) return;
+    let round = n => +n.toFixed(4);
+    if (draggingThruster.part === 'move') {
+        t.x = round(initial.x + (mx_rel - draggingThruster.startX) / interaction_r);
+        t.y = round(initial.y + (my_rel - draggingThruster.startY) / interaction_r);
+    } else if (draggingThruster.part === 'rx') {
+        t.rx = round(Math.max(0.01, abs(mx_rel / interaction_r - t.x)));
+    } else {
+        t.ry = round(Math.max(0.01, abs(my_rel / interaction_r - t.y)));
+    }
+}
+
+function toggleThrusterEditMode() {
+    thrusterEditMode = !thrusterEditMode && isEditable();
+    if (thrusterEditMode) { addingVertexMode = false; transformMode = false; selectedVertexIndices = []; }
+    updateUIControls();
+}
+
+function addThruster() {
+    if (!isEditable()) return;
+    // With a thruster selected, the new one mirrors it across the X axis (or sits beside it if it is on the axis)
+    let source = thrusters[selectedThrusterIndex];
+    let thruster = source ? { ...source, color: [...source.color], y: source.y !== 0 ? -source.y : source.y + source.ry * 2.5 }
+                          : { x: -0.9, y: 0, rx: 0.2, ry: 0.1, color: [...defaultThrusterColor] };
+    recordHistoryStep("Add thruster", [], () => { thrusters.push(thruster); selectedThrusterIndex = thrusters.length - 1; });
+    thrusterEditMode = true;
+    updateUIControls();
+}
+
+function deleteSelectedThruster() {
+    if (!isEditable() || !thrusters[selectedThrusterIndex]) return;
+    recordHistoryStep("Delete thruster", [], () => { thrusters.splice(selectedThrusterIndex, 1); selectedThrusterIndex = -1; });
+    updateUIControls();
+}
+
+function updateSelectedThrusterColor() {
+    let t = thrusters[selectedThrusterIndex];
+    if (!t || !isEditable()) return;
+    // One history step per picker interaction: 'input' ticks extend it, 'change' commits it
+    beginHistoryStep("Change thruster colour", [], `thrusterColor:${selectedThrusterIndex}`);
+    let col = color(thrusterColorPicker.value());
+    let alpha = parseFloat(thrusterAlphaInput ? thrusterAlphaInput.value() : 255);
+    t.color = [red(col), green(col), blue(col), isNaN(alpha) ? 255 : Math.round(constrain(alpha, 0, 255))];
+}
+
+function updateThrusterControls() {
+    // Button states and the colour inputs for the selected thruster
+    let editable = isEditable();
+    if (!editable) thrusterEditMode = false;
+    if (selectedThrusterIndex >= thrusters.length) selectedThrusterIndex = -1;
+    let t = thrusters[selectedThrusterIndex];
+    if (thrusterModeButton) { thrusterModeButton.elt.disabled = !editable; if (thrusterEditMode) thrusterModeButton.addClass('active'); else thrusterModeButton.removeClass('active'); }
+    if (addThrusterButton?.elt) addThrusterButton.elt.disabled = !editable;
+    if (deleteThrusterButton?.elt) deleteThrusterButton.elt.disabled = !t || !editable;
+    if (thrusterColorPicker?.elt) thrusterColorPicker.elt.disabled = !t;
+    if (thrusterAlphaInput?.elt) thrusterAlphaInput.elt.disabled = !t;
+    if (t && !(openHistoryStep && openHistoryStep.coalesceKey === `thrusterColor:${selectedThrusterIndex}`)) { // Don't fight the picker mid-drag
+        if (thrusterColorPicker) thrusterColorPicker.value(rgbToHex(t.color.slice(0, 3)));
+        if (thrusterAlphaInput) thrusterAlphaInput.value(t.color[3]);
+    }
+}
+
+// --- Mirror Symmetry Functions ---
+// A layer's optional 'mirrorLinks' holds [a, b] vertex index pairs mirrored across the X axis
+// (y_b = -y_a); [i, i] pins vertex i to the axis. The links are saved with projects and undo.
+// Links found on an existing layer don't move anything: a pair is made exact when one of it is edited
+// (or by Straighten Symmetry).
+
+function toggleSymmetryMode() {
+    symmetryMode = !symmetryMode;
+    if (symmetryMode) ensureMirrorLinks(selectedShapeIndex);
+    updateUIControls();
+}
+
+function ensureMirrorLinks(layerIndex) {
+    // In symmetry mode a layer without links gets them from its (near-)mirrored vertices. Only the links
+    // are added (editor-only data, so not an undo step of its own); no vertex moves.
+    let shape = shapes[layerIndex];
+    if (!symmetryMode || !isLayerEditable(layerIndex) || !shape.vertexData || Array.isArray(shape.mirrorLinks)) return;
+    shape.mirrorLinks = findMirrorLinks(shape.vertexData, straightenThreshold);
+}
+
+function findMirrorLinks(vertices, threshold) {
+    // Links for vertices near the axis ([i, i]) and near-mirrored pairs, nearest first; 'vertices' is not changed
+    let links = []; let linked = new Set();
+    vertices.forEach((v, i) => { if (abs(v.y) < threshold / 2) { links.push([i, i]); linked.add(i); } });
+    for (let i = 0; i < vertices.length; i++) {
+        if (linked.has(i)) continue;
+        let best = -1, bestError = Infinity;
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (linked.has(j) || Math.sign(vertices[j].y) === Math.sign(vertices[i].y)) continue;
+            let error = abs(vertices[i].x - vertices[j].x) + abs(vertices[i].y + vertices[j].y);
+            if (error < threshold && error < bestError) { best = j; bestError = error; }
+        }
+        if (best === -1) continue;
+        links.push([i, best]); linked.add(i); linked.add(best);
+    }
+    return links;
+}
+
+function updateSymmetryReadout() {
+    // In symmetry mode: how the selected layer's vertices are linked, and how many have no partner
+    if (!symmetryReadoutSpan) return;
+    let shape = shapes[selectedShapeIndex];
+    if (!symmetryMode || !shape?.vertexData || !Array.isArray(shape.mirrorLinks)) { symmetryReadoutSpan.html(''); return; }
+    let pairs = shape.mirrorLinks.filter(([a, b]) => a !== b).length, onAxis = shape.mirrorLinks.length - pairs;
+    let unlinked = shape.vertexData.length - pairs * 2 - onAxis;
+    symmetryReadoutSpan.html(`${pairs} pair${pairs === 1 ? '' : 's'}, ${onAxis} on axis${unlinked > 0 ? `, ${unlinked} unpaired (not mirrored)` : ''}`);
+}
+
+function getMirrorPartner(shape, index) {
+    // Linked mirror partner of a vertex (itself if pinned to the axis), or -1
+    for (let [a, b] of shape?.mirrorLinks || []) {
+        if (a === index) return b;
+        if (b === index) return a;
+    }
+    return -1;
+}
+
+function withMirrorPartners(shape, indices) {
+    let all = new Set(indices);
+    for (let i of indices) { let partner = getMirrorPartner(shape, i); if (partner !== -1) all.add(partner); }
+    return [...all];
+}
+
+function remapMirrorLinks(shape, mapIndex) {
+    // After vertices are inserted/removed: mapIndex(oldIndex) gives the new index, or -1 if removed (its link is dropped)
+    if (!Array.isArray(shape?.mirrorLinks)) return;
+    shape.mirrorLinks = shape.mirrorLinks.map(([a, b]) => [mapIndex(a), mapIndex(b)]).filter(([a, b]) => a !== -1 && b !== -1);
+}
+
+function applyMirrorConstraints(shape, movedIndices) {
+    // Partners follow the moved vertices (the first moved member of a pair leads), curve included; pinned
+    // vertices stay on the axis, a smooth one with its in handle mirroring its out handle
+    let done = new Set();
+    for (let i of movedIndices) {
+        let partner = getMirrorPartner(shape, i);
+        if (done.has(i) || partner === -1 || !shape.vertexData[i] || !shape.vertexData[partner]) continue;
+        let v = shape.vertexData[i];
+        if (partner === i) {
+            v.y = 0;
+            if (v.curve === 'smooth') v.handleIn = { x: v.handleOut.x, y: -v.handleOut.y };
+        } else { shape.vertexData[partner].x = v.x; shape.vertexData[partner].y = -v.y; copyMirroredCurve(v, shape.vertexData[partner]); }
+        done.add(i); done.add(partner);
+    }
+}
+
+function insertVertexAfter(shape, index, point) {
+    // Inserts 'point' after vertex 'index' (keeping mirror links valid); returns its index
+    let at = index + 1;
+    shape.vertexData.splice(at, 0, point);
+    remapMirrorLinks(shape, i => i >= at ? i + 1 : i);
+    return at;
+}
+
+function deleteLayerVertices(indices) {
+    // Deletes vertices of the selected layer (and their mirror partners in symmetry mode) as one undo step,
+    // as long as at least 3 remain
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData) return;
+    let toDelete = symmetryMode ? withMirrorPartners(shape, indices) : indices;
+    let remainingVertices = shape.vertexData.length - toDelete.length;
+    if (remainingVertices < 3) { console.warn(`Cannot delete vertices - must leave at least 3.`); return; }
+    beginHistoryStep(toDelete.length === 1 ? "Delete vertex" : `Delete ${toDelete.length} vertices`, [selectedShapeIndex]); // Open step BEFORE deleting vertices
+    deleteVertices(shape, toDelete);
+    selectedVertexIndices = []; draggingVertex = false; // Reset selection/interaction before the step captures it
+    commitHistoryStep();
+    updateUIControls();
+}
+
+function deleteVertices(shape, indices) {
+    let removed = new Set(indices);
+    let newIndex = []; let next = 0;
+    shape.vertexData.forEach((_, i) => { newIndex[i] = removed.has(i) ? -1 : next++; });
+    shape.vertexData = shape.vertexData.filter((_, i) => !removed.has(i));
+    remapMirrorLinks(shape, i => newIndex[i] ?? -1);
+}
+
+function addVertexOnEdge(shape, edgeIndex, point = null) {
+    // Adds 'point' (default: the midpoint) to the edge edgeIndex -> edgeIndex + 1; a curved edge is split where
+    // it passes nearest 'point' (default: halfway along it) and keeps its shape. In symmetry mode the mirrored
+    // edge gets the partner vertex; a new vertex on an edge crossing (or lying on) the axis is pinned to it.
+    let n = shape.vertexData.length;
+    let a = edgeIndex, b = (edgeIndex + 1) % n;
+    let partnerA = getMirrorPartner(shape, a), partnerB = getMirrorPartner(shape, b);
+    let v1 = shape.vertexData[a], v2 = shape.vertexData[b];
+    let newVertex = point ? { x: point.x, y: point.y } : { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 };
+    if (outlineSegmentControls(shape.vertexData, a)) {
+        let t = point ? closestPointOnEdge(shape.vertexData, a, point.x, point.y).t : 0.5;
+        newVertex = { ...splitCurvedEdge(shape.vertexData, a, t), ...(point ? { x: point.x, y: point.y } : {}) };
+    }
+    let newIndex = insertVertexAfter(shape, a, newVertex);
+    if (!symmetryMode || partnerA === -1 || partnerB === -1) return;
+
+    if ((partnerA === b && partnerB === a) || (partnerA === a && partnerB === b)) {
+        shape.vertexData[newIndex].y = 0; shape.mirrorLinks.push([newIndex, newIndex]);
+        applyMirrorConstraints(shape, [newIndex, shape.vertexData.indexOf(v1)]); // Split handles stay symmetric
+        return;
+    }
+    let shift = i => i >= newIndex ? i + 1 : i;
+    partnerA = shift(partnerA); partnerB = shift(partnerB);
+    let m = shape.vertexData.length, after;
+    if ((partnerA + 1) % m === partnerB) after = partnerA;
+    else if ((partnerB + 1) % m === partnerA) after = partnerB;
+    else { console.warn("Symmetry: mirrored edge not found (links out of date), vertex added on one side only."); return; }
+    let v = shape.vertexData[newIndex];
+    let mirrorIndex = insertVertexAfter(shape, after, mirroredVertex(v));
+    if (newIndex >= mirrorIndex) newIndex++;
+    shape.mirrorLinks.push([newIndex, mirrorIndex]);
+    applyMirrorConstraints(shape, [shape.vertexData.indexOf(v1), shape.vertexData.indexOf(v2)]); // Handles shortened by a split
+}
+
+function handleCompleteHalfClick() {
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    let problem = null;
+    recordHistoryStep("Complete from half", [selectedShapeIndex], () => { problem = completeMirrorFromHalf(shapes[selectedShapeIndex], straightenThreshold); });
+    if (problem) { console.warn(`Complete From Half: ${problem}`); alert(`Complete From Half: ${problem}.`); return; }
+    selectedVertexIndices = [];
+    updateUIControls();
+}
+
+function completeMirrorFromHalf(shape, threshold) {
+    // Mirrors a half outline (all vertices on one side of the X axis) to build the other side, and links
+    // the new pairs. Returns a description of the problem if the layer isn't a half outline, else null.
+    let vertices = shape.vertexData; let n = vertices.length;
+    let onAxis = v => abs(v.y) < threshold / 2;
+    let sides = new Set(vertices.filter(v => !onAxis(v)).map(v => Math.sign(v.y)));
+    if (sides.size === 0) return "every vertex is on the mirror axis";
+    if (sides.size > 1) return "the layer already has vertices on both sides of the X axis";
+
+    // Open the outline at the edge nearest the axis (usually the one drawn along it)
+    let openAfter = 0, bestDistance = Infinity;
+    for (let i = 0; i < n; i++) {
+        let d = abs(vertices[i].y) + abs(vertices[(i + 1) % n].y);
+        if (d < bestDistance) { bestDistance = d; openAfter = i; }
+    }
+    let half = [];
+    for (let k = 1; k <= n; k++) {
+        let v = vertices[(openAfter + k) % n];
+        half.push({ ...v, y: onAxis(v) ? 0 : v.y }); // Keeps any curve
+    }
+    let full = [...half], links = [];
+    half.forEach((v, i) => { if (v.y === 0) links.push([i, i]); });
+    for (let i = half.length - 1; i >= 0; i--) {
+        if (half[i].y === 0) continue;
+        full.push(mirroredVertex(half[i]));
+        links.push([i, full.length - 1]);
+    }
+    shape.vertexData = full;
+    shape.mirrorLinks = links;
+    applyMirrorConstraints(shape, links.filter(([a, b]) => a === b).map(([a]) => a)); // Smooth axis vertices get symmetric handles
+    return null;
+}
+
+// --- Curve Functions ---
+// A vertex's optional 'curve' bends the edges on either side of it (see vertexTangent() in ships.js): 'smooth'
+// vertices carry Bézier control handles 'handleIn' / 'handleOut' as offsets from the vertex, 'catmull' ones take
+// their tangent from their neighbours like a Catmull-Rom spline. Vertices without one are corners, and the edge
+// between two corners stays straight. Hit-testing and bounds use the curves flattened to polylines.
+
+function isCurvedOutline(vertexData) {
+    return Array.isArray(vertexData) && vertexData.some(v => v?.curve);
+}
+
+function cubicPoint(p0, p1, p2, p3, t) {
+    let u = 1 - t, a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+    return { x: a * p0.x + b * p1.x + c * p2.x + d * p3.x, y: a * p0.y + b * p1.y + c * p2.y + d * p3.y };
+}
+
+function flattenEdge(vertexData, i) {
+    // Points along the edge from vertex i to the next one, both ends included
+    let a = vertexData[i], b = vertexData[(i + 1) % vertexData.length];
+    let points = [{ x: a.x, y: a.y }], c = outlineSegmentControls(vertexData, i);
+    if (c) flattenCubic(points[0], c.c1, c.c2, { x: b.x, y: b.y }, curveFlattenTolerance, points, 0);
+    else points.push({ x: b.x, y: b.y });
+    return points;
+}
+
+function flattenOutline(vertexData) {
+    // The outline as a polygon: corner-only outlines as they are, curved edges as polylines.
+    // Curved results are cached per layer outline until its vertices change; treat them as read-only.
+    if (!isCurvedOutline(vertexData)) return vertexData;
+    let key = JSON.stringify(vertexData), cached = flattenedOutlineCache.get(vertexData);
+    if (cached?.key === key) return cached.points;
+    let points = [];
+    vertexData.forEach((_, i) => points.push(...flattenEdge(vertexData, i).slice(0, -1)));
+    flattenedOutlineCache.set(vertexData, { key, points });
+    return points;
+}
+
+function closestPointOnEdge(vertexData, i, px, py) {
+    // { x, y, t, distSq } of the point on edge i nearest (px, py); t runs from 0 at vertex i to 1 at the next
+    let a = vertexData[i], b = vertexData[(i + 1) % vertexData.length], c = outlineSegmentControls(vertexData, i);
+    if (!c) {
+        let p = closestPointOnSegment(px, py, a.x, a.y, b.x, b.y), l2 = distSq(a.x, a.y, b.x, b.y);
+        return { x: p.x, y: p.y, t: l2 > 0 ? Math.sqrt(distSq(a.x, a.y, p.x, p.y) / l2) : 0, distSq: distSq(px, py, p.x, p.y) };
+    }
+    // Coarse samples along the curve, then halving steps either side of the best one
+    let at = t => { let p = cubicPoint(a, c.c1, c.c2, b, t); return { x: p.x, y: p.y, t, distSq: distSq(px, py, p.x, p.y) }; };
+    let samples = 32, best = at(0);
+    for (let k = 1; k <= samples; k++) { let p = at(k / samples); if (p.distSq < best.distSq) best = p; }
+    for (let step = 0.5 / samples; step > 1e-6; step /= 2) {
+        for (let t of [best.t - step, best.t + step]) {
+            if (t < 0 || t > 1) continue;
+            let p = at(t); if (p.distSq < best.distSq) best = p;
+        }
+    }
+    return best;
+}
+
+function splitCurvedEdge(vertexData, edgeIndex, t) {
+    // Returns the vertex that splits curved edge edgeIndex at curve parameter t without changing its shape
+    // (de Casteljau): a smooth one whose handles are the split curve's, with the smooth end vertices' handles
+    // on this edge shortened to match. Between two Catmull-Rom vertices it is Catmull-Rom too.
+    let a = vertexData[edgeIndex], b = vertexData[(edgeIndex + 1) % vertexData.length];
+    let c = outlineSegmentControls(vertexData, edgeIndex);
+    let lerpPoint = (p, q) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+    let q0 = lerpPoint(a, c.c1), q1 = lerpPoint(c.c1, c.c2), q2 = lerpPoint(c.c2, b);
+    let r0 = lerpPoint(q0, q1), r1 = lerpPoint(q1, q2), s = lerpPoint(r0, r1);
+    if (a.curve === 'catmull' && b.curve === 'catmull') return { x: s.x, y: s.y, curve: 'catmull' };
+    if (a.curve === 'smooth') a.handleOut = { x: q0.x - a.x, y: q0.y - a.y };
+    if (b.curve === 'smooth') b.handleIn = { x: q2.x - b.x, y: q2.y - b.y };
+    return { x: s.x, y: s.y, curve: 'smooth', handleIn: { x: r0.x - s.x, y: r0.y - s.y }, handleOut: { x: r1.x - s.x, y: r1.y - s.y } };
+}
+
+function mirroredVertex(v) {
+    // 'v' reflected across the X axis, curve included
+    let mirrored = { x: v.x, y: -v.y };
+    copyMirroredCurve(v, mirrored);
+    return mirrored;
+}
+
+function copyMirroredCurve(source, target) {
+    // Gives 'target' the curve of its mirror partner 'source'. The mirrored side of an outline runs the other
+    // way round, so the reflected handles swap: target's handleIn mirrors source's handleOut and vice versa.
+    delete target.curve; delete target.handleIn; delete target.handleOut;
+    if (source.curve) target.curve = source.curve;
+    if (source.curve === 'smooth') {
+        target.handleIn = { x: source.handleOut.x, y: -source.handleOut.y };
+        target.handleOut = { x: source.handleIn.x, y: -source.handleIn.y };
+    }
+}
+
+function getStartingHandles(vertexData, i) {
+    // Handles for a vertex becoming smooth: the Catmull-Rom tangent through its neighbours, so the outline barely moves
+    let n = vertexData.length, prev = vertexData[(i - 1 + n) % n], next = vertexData[(i + 1) % n];
+    let dx = (next.x - prev.x) / 6, dy = (next.y - prev.y) / 6;
+    return { handleIn: { x: -dx, y: -dy }, handleOut: { x: dx, y: dy } };
+}
+
+function getSelectedCurveType() {
+    // Curve type shared by every selected vertex of the selected layer ('corner', 'smooth', 'catmull'), '' if mixed or none
+    let vertices = shapes[selectedShapeIndex]?.vertexData;
+    if (!vertices || selectedVertexIndices.length === 0) return '';
+    let types = new Set(selectedVertexIndices.map(i => vertices[i]?.curve || 'corner'));
+    return types.size === 1 ? [...types][0] : '';
+}
+
+function setSelectedVertexCurve(type) {
+    // Makes the selected vertices (and their mirror partners in symmetry mode) 'corner', 'smooth' or 'catmull' as one undo step
+    if (!isLayerEditable(selectedShapeIndex) || selectedVertexIndices.length === 0 || !['corner', 'smooth', 'catmull'].includes(type)) return;
+    let shape = shapes[selectedShapeIndex];
+    let indices = symmetryMode ? withMirrorPartners(shape, selectedVertexIndices) : selectedVertexIndices;
+    let label = indices.length === 1 ? "Set vertex curve type" : `Set curve type of ${indices.length} vertices`;
+    recordHistoryStep(label, [selectedShapeIndex], () => {
+        for (let i of indices) {
+            let v = shape.vertexData[i];
+            if (!v || (v.curve || 'corner') === type) continue;
+            let handles = type === 'smooth' ? getStartingHandles(shape.vertexData, i) : null; // Positions don't change, so order doesn't matter
+            delete v.curve; delete v.handleIn; delete v.handleOut;
+            if (type !== 'corner') v.curve = type;
+            if (handles) { v.handleIn = handles.handleIn; v.handleOut = handles.handleOut; }
+        }
+        if (symmetryMode) applyMirrorConstraints(shape, selectedVertexIndices);
+    });
+    updateUIControls();
+}
+
+function getCurveHandlePoints(shape, r) {
+    // Screen positions { index, side: 'in' | 'out', x, y, vx, vy (the vertex) } of the selected smooth vertices' handles
+    let points = [];
+    for (let i of selectedVertexIndices) {
+        let v = shape.vertexData[i];
+        if (v?.curve !== 'smooth') continue;
+        points.push({ index: i, side: 'in', x: (v.x + v.handleIn.x) * r, y: (v.y + v.handleIn.y) * r, vx: v.x * r, vy: v.y * r });
+        points.push({ index: i, side: 'out', x: (v.x + v.handleOut.x) * r, y: (v.y + v.handleOut.y) * r, vx: v.x * r, vy: v.y * r });
+    }
+    return points;
+}
+
+function drawCurveHandles(r) {
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData) return;
+    push();
+    strokeWeight(1);
+    for (let h of getCurveHandlePoints(shape, r)) {
+        let active = draggingCurveHandle?.index === h.index && draggingCurveHandle?.side === h.side;
+        stroke(120, 0, 200, 180); line(h.vx, h.vy, h.x, h.y);
+        if (active) fill(255, 140, 0); else fill(200, 150, 255);
+        ellipse(h.x, h.y, curveHandleSize, curveHandleSize);
+    }
+    pop();
+}
+
+function handleCurveHandlePress(mx_rel, my_rel, r) {
+    // Starts dragging the control handle under the mouse; zero-length handles sit on their vertex and are skipped
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData) return false;
+    let hit = getCurveHandlePoints(shape, r).find(h => distSq(h.x, h.y, h.vx, h.vy) > 1 && distSq(mx_rel, my_rel, h.x, h.y) < grabRadius ** 2);
+    if (!hit) return false;
+    beginHistoryStep("Move control handle", [selectedShapeIndex]); // Committed on release
+    draggingCurveHandle = { index: hit.index, side: hit.side, startX: mx_rel, startY: my_rel };
+    return true;
+}
+
+function dragCurveHandle(mx_rel, my_rel, r) {
+    // Moves the dragged handle to the mouse. The opposite handle turns to stay in line, keeping its length,
+    // unless ALT is held (a cusp). In symmetry mode the partner's handles follow; on the axis the two mirror each other.
+    let shape = shapes[selectedShapeIndex], index = draggingCurveHandle.index;
+    let v = shape?.vertexData?.[index];
+    if (v?.curve !== 'smooth' || r <= 0) return;
+    let dragged = draggingCurveHandle.side === 'in' ? 'handleIn' : 'handleOut', other = dragged === 'handleIn' ? 'handleOut' : 'handleIn';
+    let h = { x: mx_rel / r - v.x, y: my_rel / r - v.y };
+    v[dragged] = h;
+    let length = Math.hypot(h.x, h.y), otherLength = Math.hypot(v[other].x, v[other].y);
+    if (!keyIsDown(ALT) && length > 1e-9) v[other] = { x: -h.x / length * otherLength, y: -h.y / length * otherLength };
+    if (symmetryMode && getMirrorPartner(shape, index) === index) v[other] = { x: h.x, y: -h.y };
+    if (symmetryMode) applyMirrorConstraints(shape, [index]);
+}
+
+// --- Transform Gizmo Functions ---
+// Scales / rotates the selected vertices (2 or more) or else the whole selected layer about a pivot.
+// Angles are in degrees, clockwise on screen (y points down); scaling is applied before rotation.
+
+function toggleTransformMode() {
+    transformMode = !transformMode && isEditable();
+    if (transformMode) { addingVertexMode = false; thrusterEditMode = false; }
+    updateUIControls();
+}
+
+function getTransformTargetIndices(shape) {
+    if (selectedVertexIndices.length >= 2) return selectedVertexIndices.filter(i => shape.vertexData[i]);
+    return shape.vertexData.map((_, i) => i);
+}
+
+function getTransformBox(shape, indices) {
+    let xs = indices.map(i => shape.vertexData[i].x), ys = indices.map(i => shape.vertexData[i].y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+function getTransformPivot(shape, box) {
+    // Pivot (relative units) for the chosen pivot mode; a missing pivot vertex falls back to the box centre
+    if (transformPivotMode === 'origin') return { x: 0, y: 0 };
+    if (transformPivotMode === 'vertex' && transformPivotVertex && shapes[transformPivotVertex.layerIndex] === shape) {
+        let v = shape.vertexData[transformPivotVertex.index];
+        if (v) return { x: v.x, y: v.y };
+    }
+    return { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+}
+
+function forgetPivotVertexIfMoved(changes) {
+    // The pivot vertex is kept by index, so it is dropped when history 'changes' add, remove or reorder
+    // layers or change its layer's vertex count (rather than silently pointing at another vertex)
+    if (!transformPivotVertex) return;
+    let pivotLayer = transformPivotVertex.layerIndex;
+    if (changes.some(c => c.type === 'insert' || c.type === 'remove' || c.type === 'replaceAll' || (c.type === 'layer' && c.layer === pivotLayer))) {
+        transformPivotVertex = null;
+    }
+}
+
+function transformGizmoHandles(box, r) {
+    // Screen positions (relative to the origin) of the four corner scale handles and the rotation handle
+    let handles = [[box.minX, box.minY, -1, -1], [box.maxX, box.minY, 1, -1], [box.maxX, box.maxY, 1, 1], [box.minX, box.maxY, -1, 1]]
+        .map(([x, y, outX, outY]) => ({ part: 'scale', x: x * r + outX * scaleHandleOffset, y: y * r + outY * scaleHandleOffset, corner: { x, y } }));
+    handles.push({ part: 'rotate', x: (box.minX + box.maxX) / 2 * r, y: box.minY * r - rotateHandleOffset - scaleHandleOffset });
+    return handles;
+}
+
+function drawTransformGizmo(r) {
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData?.length) return;
+    let box = getTransformBox(shape, getTransformTargetIndices(shape));
+    let pivot = getTransformPivot(shape, box);
+    let handles = transformGizmoHandles(box, r);
+    push();
+    noFill(); stroke(0, 150, 255); strokeWeight(1);
+    rectMode(CORNERS); rect(box.minX * r, box.minY * r, box.maxX * r, box.maxY * r);
+    let rotateHandle = handles[4];
+    line(rotateHandle.x, box.minY * r, rotateHandle.x, rotateHandle.y);
+    fill(255); rectMode(RADIUS);
+    for (let h of handles.slice(0, 4)) { line(h.corner.x * r, h.corner.y * r, h.x, h.y); rect(h.x, h.y, transformHandleSize, transformHandleSize); }
+    ellipse(rotateHandle.x, rotateHandle.y, transformHandleSize, transformHandleSize);
+    // Pivot marker
+    stroke(255, 120, 0); strokeWeight(2);
+    line(pivot.x * r - 6, pivot.y * r, pivot.x * r + 6, pivot.y * r); line(pivot.x * r, pivot.y * r - 6, pivot.x * r, pivot.y * r + 6);
+    pop();
+}
+
+function handleTransformPress(mx_rel, my_rel, r) {
+    // Starts a scale/rotate drag on a gizmo handle, or picks the pivot vertex; returns true if the press was used
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData?.length) return false;
+    let indices = getTransformTargetIndices(shape);
+    let box = getTransformBox(shape, indices);
+    let hit = transformGizmoHandles(box, r).find(h => abs(mx_rel - h.x) <= transformHandleSize + 2 && abs(my_rel - h.y) <= transformHandleSize + 2);
+    if (!hit) {
+        if (transformPivotMode !== 'vertex' || keyIsDown(SHIFT)) return false; // Shift+Click still (de)selects vertices
+        let index = shape.vertexData.findIndex(v => distSq(mx_rel, my_rel, v.x * r, v.y * r) < grabRadius ** 2);
+        if (index === -1) return false;
+        transformPivotVertex = { layerIndex: selectedShapeIndex, index };
+        return true;
+    }
+    let what = indices.length === shape.vertexData.length ? 'layer' : `${indices.length} vertices`;
+    beginHistoryStep(`${hit.part === 'scale' ? 'Scale' : 'Rotate'} ${what}`, [selectedShapeIndex]); // Committed on release
+    transformDrag = {
+        part: hit.part, handle: hit, pivot: getTransformPivot(shape, box), startX: mx_rel, startY: my_rel,
+        initial: getTransformStart(shape, indices)
+    };
+    return true;
+}
+
+function dragTransform(mx_rel, my_rel, r) {
+    let shape = shapes[selectedShapeIndex];
+    if (!shape?.vertexData) return;
+    let { pivot, handle } = transformDrag;
+    let px = pivot.x * r, py = pivot.y * r;
+    if (transformDrag.part === 'rotate') {
+        let angle = (Math.atan2(my_rel - py, mx_rel - px) - Math.atan2(transformDrag.startY - py, transformDrag.startX - px)) * 180 / Math.PI;
+        if (keyIsDown(SHIFT)) angle = Math.round(angle / rotationSnapDegrees) * rotationSnapDegrees;
+        transformVertices(shape, transformDrag.initial, pivot, angle, 1, 1);
+    } else {
+        // Where the grabbed corner would now be, relative to the pivot, against where it started
+        let toX = handle.corner.x - pivot.x + (mx_rel - transformDrag.startX) / r;
+        let toY = handle.corner.y - pivot.y + (my_rel - transformDrag.startY) / r;
+        let fromX = handle.corner.x - pivot.x, fromY = handle.corner.y - pivot.y;
+        let scaleX = abs(fromX) > 1e-6 ? toX / fromX : 1, scaleY = abs(fromY) > 1e-6 ? toY / fromY : 1;
+        if (keyIsDown(SHIFT)) { // Uniform: project the corner's movement onto the pivot -> corner line
+            let lengthSq = fromX * fromX + fromY * fromY;
+            scaleX = scaleY = lengthSq > 1e-12 ? (toX * fromX + toY * fromY) / lengthSq : 1;
+        }
+        transformVertices(shape, transformDrag.initial, pivot, 0, scaleX, scaleY);
+    }
+}
+
+function getTransformStart(shape, indices) {
+    // The { index, x, y, handleIn?, handleOut? } start positions (and smooth vertices' handles) transforms work from
+    return indices.map(i => {
+        let v = shape.vertexData[i], start = { index: i, x: v.x, y: v.y };
+        if (v.curve === 'smooth') { start.handleIn = { ...v.handleIn }; start.handleOut = { ...v.handleOut }; }
+        return start;
+    });
+}
+
+function transformVertices(shape, initial, pivot, angleDeg, scaleX, scaleY) {
+    // Sets each start position scaled then rotated about 'pivot', handles likewise (about their vertex); mirrored partners follow
+    let cosA = Math.cos(angleDeg * Math.PI / 180), sinA = Math.sin(angleDeg * Math.PI / 180);
+    let turn = (dx, dy) => ({ x: dx * cosA - dy * sinA, y: dx * sinA + dy * cosA });
+    for (let p of initial) {
+        let v = shape.vertexData[p.index];
+        if (!v) continue;
+        let moved = turn((p.x - pivot.x) * scaleX, (p.y - pivot.y) * scaleY);
+        v.x = pivot.x + moved.x;
+        v.y = pivot.y + moved.y;
+        if (p.handleIn && v.curve === 'smooth') {
+            v.handleIn = turn(p.handleIn.x * scaleX, p.handleIn.y * scaleY);
+            v.handleOut = turn(p.handleOut.x * scaleX, p.handleOut.y * scaleY);
+        }
+    }
+    if (symmetryMode) applyMirrorConstraints(shape, initial.map(p => p.index));
+}
+
+function applyNumericTransform() {
+    // Applies the angle / scale factors typed in the transform inputs as one undo step
+    if (!isLayerEditable(selectedShapeIndex)) return;
+    let angle = parseFloat(transformAngleInput?.value()), scaleX = parseFloat(transformScaleXInput?.value()), scaleY = parseFloat(transformScaleYInput?.value());
+    if (!isFinite(angle) || !isFinite(scaleX) || !isFinite(scaleY) || scaleX === 0 || scaleY === 0) {
+        alert("Transform: enter an angle in degrees and non-zero scale factors.");
+        return;
+    }
+    if (angle === 0 && scaleX === 1 && scaleY === 1) return;
+    let shape = shapes[selectedShapeIndex];
+    let indices = getTransformTargetIndices(shape);
+    let pivot = getTransformPivot(shape, getTransformBox(shape, indices));
+    let initial = getTransformStart(shape, indices);
+    let what = indices.length === shape.vertexData.length ? 'layer' : `${indices.length} vertices`;
+    recordHistoryStep(`Transform ${what}`, [selectedShapeIndex], () => transformVertices(shape, initial, pivot, angle, scaleX, scaleY));
+    updateUIControls();
+}
+
+// Inside editor.js
+function exportDrawFunctionCode() {
+    // Generates JavaScript code for a draw function AND the first layer's data format
+    let baseName = 'CustomShip';
+    if (currentShipDef && currentShipKey !== '--- New Blank ---') {
+        baseName = currentShipKey.replace(/\s+/g, '').replace('Mk', 'Mk');
+    }
+    let functionName = `draw${baseName}_Edited`;
+    let code = [];
+    code.push(`// --- Generated Export for ${baseName} (Edited) ---`);
+    code.push(`// --- Contains ${shapes.length} shape layer(s) ---`);
+    code.push(`//`);
+
+    // --- Ship Stats (from the stats form) ---
+    code.push(`// --- Ship Stats: fields for the SHIP_DEFINITIONS entry ---`);
+    code.push(...formatShipStatsLines(currentShipStats, '        '));
+    code.push(`// --- End Ship Stats ---`);
+    code.push(``);
+    code.push(`//`);
+
+    // --- Format 1: First Layer Data (as requested) ---
+    code.push(`// --- Format 1: Data for the First Shape Layer (Index 0) ---`);
+    if (shapes.length > 0 && shapes[0] && shapes[0].vertexData && shapes[0].vertexData.length >= 2) {
+        let firstShape = shapes[0];
+        code.push(`vertexData: ${formatVertexDataCode(firstShape.vertexData)},`);
+
+        let fillColorString = `fillColor: ${formatColorCode(firstShape.fillColor, [180, 180, 180])},`;
+        code.push(`        ${fillColorString}`); // Indent for readability within the block
+
+        let strokeColorString = `strokeColor: ${formatColorCode(firstShape.strokeColor, [50, 50, 50])},`;
+        code.push(`        ${strokeColorString}`); // Indent
+
+        let strokeWString = `strokeW: ${typeof firstShape.strokeW === 'number' ? firstShape.strokeW.toFixed(2) : 1}`;
+        code.push(`        ${strokeWString}`); // Indent
+    } else {
+        code.push(`// --- No valid first shape layer found to export data for ---`);
+    }
+    code.push(`// --- End Format 1 ---`);
+    code.push(``);
+    code.push(`//`);
+
+    // --- Format 2: Full Draw Function (existing logic) ---
+    code.push(`// --- Format 2: Complete Draw Function (Includes All Layers) ---`);
+    code.push(`// --- Base Ship Size (for reference): ${currentShipStats.size ?? 'N/A (Custom)'} ---`);
+    code.push(`function ${functionName}(s, thrusting = false) {`);
+    code.push(`    let r = s / 2; // Calculate radius based on the desired draw size 's'`);
+    code.push(``);
+    if (proceduralParams) code.push(`    drawProceduralShip(r, ${formatJsLiteral(proceduralParams)}); // Procedural ship, needs drawProceduralShip() from ships.js`, ``);
+    // Iterate shapes in reverse drawing order (bottom first)
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        let shape = shapes[i];
+        if (!shape?.vertexData || shape.vertexData.length < 2) continue;
+        let layerLabel = `Shape Layer ${shapes.length - i}${shape.name ? `: ${JSON.stringify(shape.name)}` : ''}`;
+        if (shape.hidden) { code.push(`    // --- ${layerLabel} is hidden in the editor (not exported) ---`); code.push(``); continue; }
+        code.push(`    // --- ${layerLabel} (Index ${i} in editor) ---`);
+        code.push(`    fill(${shape.fillColor ? shape.fillColor.map(c => Math.round(c)).join(', ') : '150, 150, 150'});`); // Use Math.round for cleaner output
+        code.push(`    stroke(${shape.strokeColor ? shape.strokeColor.map(c => Math.round(c)).join(', ') : '50, 50, 50'});`); // Use Math.round
+        code.push(`    strokeWeight(max(0.5, ${typeof shape.strokeW === 'number' ? shape.strokeW.toFixed(2) : 1}));`); // keep max for safety
+        code.push(`    beginShape();`);
+        code.push(...buildOutlineCodeLines(shape.vertexData));
+        code.push(`    endShape(CLOSE);`); code.push(``);
+    };
+    code.push(...buildEngineGlowCodeLines());
+    code.push(`}`); code.push(`// --- End Format 2 ---`);
+    code.push(`// --- End Generated Function ---`); // Kept original ending comment
+
+    saveStrings(code, `${functionName}_ExportData.js`, 'js'); // Update filename slightly
+}
+
+function buildOutlineCodeLines(vertexData) {
+    // Lines (indented for a draw function body) between beginShape() and endShape(CLOSE): vertex() calls for a
+    // corner-only outline, curveVertex() when every vertex is Catmull-Rom (wrapping round so the loop closes),
+    // else vertex() for the first vertex then bezierVertex() / vertex() per edge, as drawOutlineVertices() draws it
+    let f = n => n.toFixed(4);
+    let points = vertexData.filter(v => typeof v?.x === 'number' && typeof v?.y === 'number');
+    if (!isCurvedOutline(points)) return points.map(v => `    vertex(r * ${f(v.x)}, r * ${f(v.y)});`);
+    let n = points.length;
+    if (points.every(v => v.curve === 'catmull')) {
+        return [points[n - 1], ...points, points[0], points[1]].map(v => `    curveVertex(r * ${f(v.x)}, r * ${f(v.y)});`);
+    }
+    let lines = [`    vertex(r * ${f(points[0].x)}, r * ${f(points[0].y)});`];
+    points.forEach((_, i) => {
+        let next = points[(i + 1) % n], c = outlineSegmentControls(points, i);
+        if (c) lines.push(`    bezierVertex(r * ${f(c.c1.x)}, r * ${f(c.c1.y)}, r * ${f(c.c2.x)}, r * ${f(c.c2.y)}, r * ${f(next.x)}, r * ${f(next.y)});`);
+        else if (i < n - 1) lines.push(`    vertex(r * ${f(next.x)}, r * ${f(next.y)});`); // The last straight edge is closed by CLOSE
+    });
+    return lines;
+}
+
+function buildEngineGlowCodeLines(thrusterList = thrusters, baseDef = getLoadedBaseDefinition()) {
+    // Lines (indented for a draw function body) for the 'if (thrusting)' engine glow block, generated from thruster
+    // data. While the thrusters still match baseDef's, its own glow code is kept instead (it may do more than
+    // thruster data can hold, e.g. animate).
+    let originalGlow = baseDef ? getEngineGlowSource(baseDef) : null;
+    if (originalGlow && canKeepOriginalGlow(originalGlow) && JSON.stringify(thrusterList) === JSON.stringify(thrustersFromDefinition(baseDef))) {
+        let lines = originalGlow.split('\n');
+        let indent = Math.min(...lines.slice(1).filter(line => line.trim() !== '').map(line => line.match(/^\s*/)[0].length));
+        return [
+            `    // --- Engine glow (kept from the original draw${getDefinitionKeyOf(baseDef)}) ---`,
+            `    if (thrusting) {`,
+            ...lines.map((line, i) => line.trim() === '' ? '' : '        ' + (i === 0 || !isFinite(indent) ? line.trim() : line.slice(indent).trimEnd())),
+            `    }`, ``
+        ];
+    }
+    let code = [];
+    if (thrusterList.length === 0) { code.push(`    // --- No engine glow (no thrusters defined) ---`); code.push(``); return code; }
+    code.push(`    // --- Engine glow (${thrusterList.length} thruster${thrusterList.length === 1 ? '' : 's'}, generated by the editor) ---`);
+    code.push(`    if (thrusting) {`);
+    code.push(`        noStroke();`);
+    for (let t of thrusterList) {
+        let rgba = t.color.map(c => Math.round(c));
+        let fillArgs = rgba[3] === 255 ? rgba.slice(0, 3) : rgba;
+        code.push(`        fill(${fillArgs.join(', ')}); ellipse(r * ${t.x.toFixed(4)}, r * ${t.y.toFixed(4)}, r * ${(t.rx * 2).toFixed(4)}, r * ${(t.ry * 2).toFixed(4)});`);
+    }
+    code.push(`    }`); code.push(``);
+    return code;
+}
+
+function exportDefinitionEntryCode() {
+    // Generates a paste-ready SHIP_DEFINITIONS entry (stats + all layers) and its draw function
+    if (shapes.length === 0 && !proceduralParams) { console.warn("Export Entry: no shape layers to export."); return; }
+    if (!proceduralParams && getEntryLayers(shapes).length === 0) {
+        console.warn("Export Entry: no layer has 2 or more vertices.");
+        alert("Export Entry: no layer has 2 or more vertices to export.");
+        return;
+    }
+    let key = getDefinitionKeyForExport();
+    let functionName = `draw${key}`;
+    let code = [];
+    code.push(`// --- Generated SHIP_DEFINITIONS Entry for ${key} ---`);
+    code.push(proceduralParams ? `// --- Procedural ship; needs drawProceduralShip() from ships.js ---`
+                               : `// --- Contains ${shapes.length} shape layer(s); needs drawShapesFromLayers() from ships.js ---`);
+    code.push(`//`);
+    code.push(`// --- 1. Draw function: add it with the other draw functions in ships.js${SHIP_DEFINITIONS[key] ? ` (replaces the existing ${functionName})` : ''} ---`);
+    code.push(...(proceduralParams ? buildProceduralDrawFunctionLines(key) : buildLayeredDrawFunctionLines(key)));
+    code.push(``);
+    code.push(`// --- 2. Definition entry: add it inside SHIP_DEFINITIONS${SHIP_DEFINITIONS[key] ? ` (replaces the existing "${key}" entry)` : ''} ---`);
+    code.push(...(proceduralParams ? buildProceduralEntryLines(key, currentShipStats, proceduralParams, functionName)
+                                   : buildDefinitionEntryLines(key, currentShipStats, shapes, functionName)));
+    code.push(`// --- End Generated Entry ---`);
+
+    saveStrings(code, `${key}_DefinitionEntry.js`, 'js');
+}
+
+function getDefinitionKeyOf(def) {
+    return Object.keys(SHIP_DEFINITIONS).find(key => SHIP_DEFINITIONS[key] === def) ?? '';
+}
+
+function getLoadedBaseDefinition() {
+    // The SHIP_DEFINITIONS entry the current design is based on (null for blank designs)
+    return currentShipDef && currentShipKey !== '--- New Blank ---' ? currentShipDef : null;
+}
+
+function getDefinitionKeyForExport() {
+    // The loaded base keeps its key; blank designs get one derived from the name stat
+    if (currentShipDef && currentShipKey !== '--- New Blank ---') return currentShipKey;
+    let key = String(currentShipStats.name || '').replace(/[^A-Za-z0-9_]/g, '');
+    if (!/^[A-Za-z_]/.test(key)) key = 'CustomShip' + key;
+    return key;
+}
+
+function buildLayeredDrawFunctionLines(key, thrusterList = thrusters, baseDef = getLoadedBaseDefinition()) {
+    return [
+        `function draw${key}(s, thrusting = false) {`,
+        `    let r = s / 2; let def = SHIP_DEFINITIONS.${key};`,
+        `    drawShapesFromLayers(r, def);`,
+        ...buildEngineGlowCodeLines(thrusterList, baseDef),
+        `}`
+    ];
+}
+
+function buildProceduralDrawFunctionLines(key, thrusterList = thrusters, baseDef = getLoadedBaseDefinition()) {
+    return [
+        `function draw${key}(s, thrusting = false) {`,
+        `    let r = s / 2; let def = SHIP_DEFINITIONS.${key};`,
+        `    drawProceduralShip(r, def.procedural);`,
+        ...buildEngineGlowCodeLines(thrusterList, baseDef),
+        `}`
+    ];
+}
+
+function buildProceduralEntryLines(key, stats, params, functionName) {
+    return [
+        `    ${JSON.stringify(key)}: {`,
+        ...formatShipStatsLines(stats, '        '),
+        `        drawFunction: ${functionName}, vertexData: [], // Procedural: drawn from the parameters below`,
+        `        procedural: ${formatJsLiteral(params)},`,
+        `    },`
+    ];
+}
+
+function getEntryLayers(layerShapes) {
+    // The layers a definition entry lists, bottom first (draw order); layers with fewer than 2 vertices are left out
+    return [...layerShapes].reverse().filter(shape => shape?.vertexData?.length >= 2);
+}
+
+function buildDefinitionEntryLines(key, stats, layerShapes, functionName) {
+    // 'layers' lists layers bottom first (draw order). The top-level vertexData/colours repeat the
+    // bottom visible (hull) layer so code that only reads vertexData keeps working.
+    // Callers check getEntryLayers() isn't empty first.
+    let drawOrder = getEntryLayers(layerShapes);
+    let hull = drawOrder.find(shape => !shape.hidden) || drawOrder[0];
+    let lines = [];
+    lines.push(`    ${JSON.stringify(key)}: {`);
+    lines.push(...formatShipStatsLines(stats, '        '));
+    lines.push(`        drawFunction: ${functionName}, vertexData: ${formatVertexDataCode(hull.vertexData)},`);
+    lines.push(`        fillColor: ${formatColorCode(hull.fillColor, [180, 180, 180])}, strokeColor: ${formatColorCode(hull.strokeColor, [50, 50, 50])}, strokeW: ${formatStrokeWeightCode(hull.strokeW)},`);
+    lines.push(`        layers: [`);
+    drawOrder.forEach((shape, i) => {
+        lines.push(`            { ${shape.name ? `name: ${JSON.stringify(shape.name)}, ` : ''}vertexData: ${formatVertexDataCode(shape.vertexData)},`);
+        lines.push(`              fillColor: ${formatColorCode(shape.fillColor, [150, 150, 150])}, strokeColor: ${formatColorCode(shape.strokeColor, [50, 50, 50])}, strokeW: ${formatStrokeWeightCode(shape.strokeW)}${shape.hidden ? ', hidden: true' : ''} }${i < drawOrder.length - 1 ? ',' : ''}`);
+    });
+    lines.push(`        ]`);
+    lines.push(`    },`);
+    return lines;
+}
+
+function formatVertexDataCode(vertexData) {
+    let point = p => `x: ${p.x.toFixed(4)}, y: ${p.y.toFixed(4)}`;
+    let curve = v => v.curve === 'smooth' ? `, curve: "smooth", handleIn: { ${point(v.handleIn)} }, handleOut: { ${point(v.handleOut)} }`
+                   : v.curve === 'catmull' ? `, curve: "catmull"` : '';
+    return '[ ' + vertexData.filter(v => typeof v?.x === 'number' && typeof v?.y === 'number')
+        .map(v => `{ ${point(v)}${curve(v)} }`).join(', ') + ' ]';
+}
+
+function formatColorCode(rgb, fallback) {
+    return `[${(Array.isArray(rgb) ? rgb : fallback).map(c => Math.round(c)).join(', ')}]`;
+}
+
+function formatStrokeWeightCode(strokeW) {
+    return typeof strokeW === 'number' ? strokeW.toFixed(2) : '1';
+}
+
+// --- Write ships.js Functions ---
+// Edits are kept per ship in 'sessionEdits' when switching ships, so the whole registry can be
+// written back out as a drop-in ships.js with every ship edited this session merged in. The edited
+// entries and draw functions are spliced into the text of the loaded ships.js, so everything else
+// in it (comments, other statements, unedited entries) is written back byte for byte.
+
+function stashCurrentEdits() {
+    commitHistoryStep(); // Fold any in-progress change into the current state first
+    editRevision++;
+    if (!currentShipKey || currentShipKey === 'Select a Ship...') return;
+    let isNew = currentShipKey === '--- New Blank ---';
+    if (isNew) {
+        if (blankDesignEditKey) delete sessionEdits[blankDesignEditKey]; // The name (and so the key) may have changed
+        blankDesignEditKey = null;
+        if (shapes.length === 0 && !proceduralParams) return;
+        let key = getDefinitionKeyForExport(), baseKey = key;
+        for (let n = 2; SHIP_DEFINITIONS[key] || sessionEdits[key]; n++) key = baseKey + n;
+        blankDesignEditKey = key;
+        sessionEdits[key] = { isNew: true, stats: { ...currentShipStats }, layers: JSON.parse(JSON.stringify(shapes)), thrusters: cloneHistoryData(thrusters), procedural: cloneHistoryData(proceduralParams) };
+    } else if (currentShipDef) {
+        if (isDesignModified()) {
+            sessionEdits[currentShipKey] = { isNew: false, stats: { ...currentShipStats }, layers: JSON.parse(JSON.stringify(shapes)), thrusters: cloneHistoryData(thrusters), procedural: cloneHistoryData(proceduralParams) };
+        } else {
+            delete sessionEdits[currentShipKey]; // Edited back to the original
+        }
+    }
+}
+
+function isDesignModified() {
+    // True if the loaded ship's shapes, stats, thrusters or procedural parameters differ from its SHIP_DEFINITIONS entry
+    let def = getLoadedBaseDefinition();
+    if (!def) return shapes.length > 0;
+    return isGeometryModified(def, shapes, thrusters, proceduralParams)
+        || JSON.stringify(currentShipStats) !== JSON.stringify(pickShipStats(def));
+}
+
+function isGeometryModified(def, layerShapes, shipThrusters, procedural) {
+    // True if the layers, thrusters or procedural parameters differ from those of definition 'def'
+    let originalLayers = definitionHasEditableShapes(def) ? layersFromDefinition(def) : [];
+    let geometry = layers => layers.map(({ mirrorLinks, locked, ...layer }) => layer); // Links and locks are editor-only data
+    return JSON.stringify(shipThrusters) !== JSON.stringify(thrustersFromDefinition(def))
+        || JSON.stringify(procedural) !== JSON.stringify(def.procedural ?? null)
+        || JSON.stringify(geometry(layerShapes)) !== JSON.stringify(originalLayers);
+}
+
+function writeShipsJsFile() {
+    stashCurrentEdits();
+    let editedKeys = Object.keys(sessionEdits);
+    if (editedKeys.length === 0) { alert("Write ships.js: no ships have been edited this session."); return; }
+    let empty = editedKeys.filter(key => !sessionEdits[key].procedural && sessionEdits[key].layers.length > 0 && getEntryLayers(sessionEdits[key].layers).length === 0);
+    if (empty.length > 0) {
+        console.warn(`Write ships.js: no layer with 2 or more vertices in ${empty.join(', ')}.`);
+        alert(`Write ships.js: ${empty.join(', ')} ha${empty.length === 1 ? 's' : 've'} no layer with 2 or more vertices. Add vertices (or delete the empty layers) first.`);
+        return;
+    }
+
+    let summary = editedKeys.map(key => describeSessionEdit(key, sessionEdits[key]));
+    if (!confirm(`Write ships.js with ${editedKeys.length} edited ship(s)?\n\n${summary.join('\n')}`)) return;
+
+    loadShipsJsSource(source => {
+        let text;
+        try {
+            text = buildShipsJsText(source);
+        } catch (e) {
+            console.error("Write ships.js failed:", e);
+            alert(`Write ships.js failed: ${e.message}`);
+            return;
+        }
+        saveStrings(text.split('\n'), 'ships', 'js');
+        console.log(`Wrote ships.js with edits to: ${editedKeys.join(', ')}`);
+    });
+}
+
+function describeSessionEdit(key, edit) {
+    // One line for the confirmation summary, e.g. "Viper: 2 layers (was 1), 9 vertices (was 7), 3 moved; stats: size"
+    let countVertices = layers => layers.reduce((sum, layer) => sum + layer.vertexData.length, 0);
+    if (edit.isNew) return `NEW ${key}: ${edit.procedural ? 'procedural' : `${edit.layers.length} layer(s), ${countVertices(edit.layers)} vertices`}`;
+
+    let def = SHIP_DEFINITIONS[key];
+    let changes = [];
+    if (edit.procedural) {
+        let changedParams = PROCEDURAL_PARAM_SCHEMA.filter(spec => edit.procedural[spec.field] !== def.procedural?.[spec.field]);
+        if (changedParams.length > 0) changes.push(`procedural: ${changedParams.map(spec => spec.field).join(', ')}`);
+    } else if (def.procedural) changes.push('baked to polygons');
+    if (edit.layers.length > 0) {
+        let original = definitionHasEditableShapes(def) ? layersFromDefinition(def) : [];
+        let moved = 0;
+        edit.layers.forEach((layer, i) => {
+            let before = original[i]?.vertexData || [];
+            layer.vertexData.forEach((v, j) => { if (before[j] && (before[j].x !== v.x || before[j].y !== v.y)) moved++; });
+        });
+        if (edit.layers.length !== original.length) changes.push(`${edit.layers.length} layers (was ${original.length})`);
+        let vertexCount = countVertices(edit.layers), originalCount = countVertices(original);
+        if (vertexCount !== originalCount) changes.push(`${vertexCount} vertices (was ${originalCount})`);
+        if (moved > 0) changes.push(`${moved} moved`);
+        if (edit.layers.some((layer, i) => original[i] && JSON.stringify([layer.fillColor, layer.strokeColor, layer.strokeW]) !== JSON.stringify([original[i].fillColor, original[i].strokeColor, original[i].strokeW]))) changes.push('colours');
+    }
+    let originalStats = pickShipStats(def);
+    let changedStats = SHIP_STAT_FIELDS.filter(field => edit.stats[field] !== originalStats[field]);
+    if (changedStats.length > 0) changes.push(`stats: ${changedStats.join(', ')}`);
+    if (JSON.stringify(edit.thrusters) !== JSON.stringify(thrustersFromDefinition(def))) changes.push('thrusters');
+    return `${key}: ${changes.join(', ') || 'modified'}`;
+}
+
+function loadShipsJsSource(callback) {
+    // Calls back with the text of the ships.js this page loaded. Pages opened from disk can't fetch it,
+    // so the user is asked to choose the file instead.
+    if (shipsJsSource !== null) { callback(shipsJsSource); return; }
+    let script = document.querySelector('script[src$="ships.js"]');
+    let askForFile = reason => {
+        console.warn(`Write ships.js: could not read ships.js (${reason}), asking for the file.`);
+        alert("Write ships.js needs the text of the original ships.js, which the browser won't hand over for pages opened from disk. Choose your ships.js in the next dialog.");
+        pendingShipsJsWrite = callback;
+        shipsSourceFileInput?.elt.click();
+    };
+    if (!script || typeof fetch !== 'function') { askForFile('no script tag to fetch'); return; }
+    fetch(script.src)
+        .then(response => { if (!response.ok) throw new Error(`HTTP ${response.status}`); return response.text(); })
+        .then(text => { shipsJsSource = text; callback(text); })
+        .catch(e => askForFile(e.message));
+}
+
+function handleShipsSourceFileChosen() {
+    let file = shipsSourceFileInput?.elt?.files?.[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        shipsJsSource = String(reader.result);
+        let callback = pendingShipsJsWrite; pendingShipsJsWrite = null;
+        if (callback) callback(shipsJsSource);
+    };
+    reader.onerror = () => { console.error("Write ships.js: could not read file", file.name, reader.error); alert(`Could not read '${file.name}'.`); };
+    reader.readAsText(file);
+    shipsSourceFileInput.elt.value = ''; // Allow choosing the same file again
+}
+
+function buildShipsJsText(source) {
+    // 'source' with this session's edits spliced in: edited ships' draw functions and entries replaced,
+    // new ships appended, and any ships.js helper the generated code needs (but the file lacks) added.
+    // Throws if SHIP_DEFINITIONS can't be found in it.
+    let helperFunctions = [vertexTangent, outlineSegmentControls, drawOutlineVertices, drawShapeFromData, drawShapesFromLayers, drawProceduralShip];
+    let definitions = findShipDefinitionEntries(source);
+    let splices = []; // { start, end, text } with start/end in the original source
+    let newFunctions = [], newEntries = [];
+
+    for (let key of Object.keys(sessionEdits)) {
+        let edit = sessionEdits[key], entry = definitions.entries.find(e => e.key === key);
+        let def = SHIP_DEFINITIONS[key];
+        let statsOnly = !edit.isNew && def && !isGeometryModified(def, edit.layers, edit.thrusters, edit.procedural);
+        let baseDef = edit.isNew ? null : def;
+        let geometry = statsOnly ? null // The original draw function stays
+                     : edit.procedural ? buildProceduralDrawFunctionLines(key, edit.thrusters, baseDef)
+                     : edit.layers.length > 0 ? buildLayeredDrawFunctionLines(key, edit.thrusters, baseDef) : null;
+        let entryLines = statsOnly || !geometry ? buildUneditedEntryLines(key, def, edit.stats)
+                       : edit.procedural ? buildProceduralEntryLines(key, edit.stats, edit.procedural, `draw${key}`)
+                       : buildDefinitionEntryLines(key, edit.stats, edit.layers, `draw${key}`);
+        if (geometry) {
+            let existing = findFunctionSource(source, `draw${key}`);
+            if (existing) splices.push({ ...existing, text: geometry.join('\n') });
+            else newFunctions.push(geometry.join('\n'));
+        }
+        if (entry) splices.push({ start: entry.start, end: entry.end, text: entryLines.join('\n') });
+        else newEntries.push(entryLines.join('\n'));
+    }
+
+    let missingHelpers = helperFunctions.filter(helper => !findFunctionSource(source, helper.name)).map(helper => helper.toString());
+    if (missingHelpers.length > 0) {
+        let at = findInsertionLine(source, /^\/\/ --- Ship Drawing Functions/m, /^function\s+draw/m, definitions.statementStart);
+        splices.push({ start: at, end: at, text: missingHelpers.join('\n\n') + '\n\n' });
+    }
+    if (newFunctions.length > 0) {
+        let at = findInsertionLine(source, /^\/\/ --- End Ship Drawing Functions/m, null, definitions.statementStart);
+        splices.push({ start: at, end: at, text: newFunctions.join('\n\n') + '\n\n' });
+    }
+    if (newEntries.length > 0) {
+        let at = source.lastIndexOf('\n', definitions.close) + 1; // Start of the line holding the closing brace
+        let lastEntry = definitions.entries[definitions.entries.length - 1];
+        if (lastEntry && source[lastEntry.end - 1] !== ',') splices.push({ start: lastEntry.end, end: lastEntry.end, text: ',' });
+        splices.push({ start: at, end: at, text: newEntries.join('\n') + '\n' });
+    }
+
+    splices.sort((a, b) => b.start - a.start); // From the end, so earlier offsets stay valid
+    let text = source;
+    for (let splice of splices) text = text.slice(0, splice.start) + splice.text + text.slice(splice.end);
+    return text;
+}
+
+function findShipDefinitionEntries(source) {
+    // Locates 'SHIP_DEFINITIONS = { ... }' and its top-level entries { key, start, end }: start is the entry's
+    // line start, end is just past its closing brace and comma. Also gives the object's close and the statement's line start.
+    let match = /\bSHIP_DEFINITIONS\s*=\s*\{/.exec(source);
+    if (!match) throw new Error("SHIP_DEFINITIONS was not found in ships.js");
+    let open = match.index + match[0].length - 1;
+    let close = findMatchingBrace(source, open);
+    if (close === -1) throw new Error("SHIP_DEFINITIONS is not closed (unbalanced braces)");
+    let keyPattern = /(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([A-Za-z_$][\w$]*))\s*:\s*\{/y;
+    let entries = [];
+    let pos = open + 1;
+    while (pos < close) {
+        keyPattern.lastIndex = skipSpaceAndComments(source, pos);
+        let keyMatch = keyPattern.exec(source);
+        if (!keyMatch || keyMatch.index >= close) break; // End of the object (or something other than a 'key: {' entry)
+        let braceEnd = findMatchingBrace(source, keyPattern.lastIndex - 1);
+        if (braceEnd === -1 || braceEnd > close) throw new Error("a SHIP_DEFINITIONS entry is not closed (unbalanced braces)");
+        let lineStart = source.lastIndexOf('\n', keyMatch.index) + 1;
+        let start = source.slice(lineStart, keyMatch.index).trim() === '' ? lineStart : keyMatch.index;
+        let afterComma = skipSpaceAndComments(source, braceEnd + 1, false);
+        let end = source[afterComma] === ',' ? afterComma + 1 : braceEnd + 1;
+        let key = keyMatch[1] !== undefined ? JSON.parse(`"${keyMatch[1]}"`) : (keyMatch[2] ?? keyMatch[3]);
+        entries.push({ key, start, end });
+        pos = end;
+    }
+    return { entries, close, statementStart: source.lastIndexOf('\n', match.index) + 1 };
+}
+
+function skipSpaceAndComments(source, pos, crossLines = true) {
+    // Index of the next character at or after 'pos' that isn't whitespace or inside a comment.
+    // With crossLines false it stops at the end of the line (a trailing comment stays with its line).
+    while (pos < source.length) {
+        if (source[pos] === '\n' && !crossLines) return pos;
+        if (/\s/.test(source[pos])) { pos++; continue; }
+        if (crossLines && source.startsWith('//', pos)) { let nl = source.indexOf('\n', pos); pos = nl === -1 ? source.length : nl; continue; }
+        if (source.startsWith('/*', pos)) { let end = source.indexOf('*/', pos + 2); pos = end === -1 ? source.length : end + 2; continue; }
+        return pos;
+    }
+    return pos;
+}
+
+function findFunctionSource(source, name) {
+    // { start, end } of a top-level 'function name(...) { ... }' declaration, or null
+    let match = new RegExp(`^function\\s+${name}\\s*\\(`, 'm').exec(source);
+    if (!match) return null;
+    let paramsEnd = findMatchingBrace(source, match.index + match[0].length - 1, '(', ')');
+    let bodyOpen = paramsEnd === -1 ? -1 : source.indexOf('{', paramsEnd);
+    let bodyEnd = bodyOpen === -1 ? -1 : findMatchingBrace(source, bodyOpen);
+    return bodyEnd === -1 ? null : { start: match.index, end: bodyEnd + 1 };
+}
+
+function findInsertionLine(source, marker, fallbackMarker, fallback) {
+    // Start of the line matching 'marker' (else 'fallbackMarker'), else 'fallback'
+    let match = marker.exec(source) || (fallbackMarker && fallbackMarker.exec(source));
+    return match ? match.index : fallback;
+}
+
+function buildUneditedEntryLines(key, def, stats) {
+    // A definition's own data (full precision) in the ships.js layout, with 'stats' in place of its stat fields
+    const groups = [['drawFunction', 'vertexData'], ['fillColor', 'strokeColor', 'strokeW']];
+    let otherProps = Object.keys(def).filter(prop => !SHIP_STAT_FIELDS.includes(prop) && !groups.flat().includes(prop));
+    let lines = [`    ${JSON.stringify(key)}: {`, ...formatShipStatsLines(stats, '        ')];
+    for (let fields of [...groups, ...otherProps.map(prop => [prop])]) {
+        let parts = fields.filter(prop => def[prop] !== undefined).map(prop => `${prop}: ${formatJsLiteral(def[prop], '        ')}`);
+        if (parts.length > 0) lines.push(`        ${parts.join(', ')},`);
+    }
+    lines.push(`    },`);
+    return lines;
+}
+
+function formatJsLiteral(value, indent = '') {
+    // JS source for plain data. Values holding only primitives (or flat objects/arrays, like
+    // vertexData) stay on one line; functions are written by name (draw functions are globals).
+    if (typeof value === 'function') return value.name;
+    if (value === null || typeof value !== 'object') return value === undefined ? 'undefined' : JSON.stringify(value);
+    let isArray = Array.isArray(value);
+    let keys = isArray ? value.map((_, i) => i) : Object.keys(value);
+    let formatKey = key => isArray ? '' : (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)) + ': ';
+    let depth = v => v !== null && typeof v === 'object' ? 1 + Math.max(0, ...Object.values(v).map(depth)) : 0;
+    if (depth(value) <= 2) {
+        let items = keys.map(key => formatKey(key) + formatJsLiteral(value[key]));
+        if (items.length === 0) return isArray ? '[]' : '{}';
+        return isArray ? `[${items.join(', ')}]` : `{ ${items.join(', ')} }`;
+    }
+    let inner = indent + '    ';
+    let items = keys.map(key => inner + formatKey(key) + formatJsLiteral(value[key], inner));
+    return (isArray ? '[\n' : '{\n') + items.join(',\n') + '\n' + indent + (isArray ? ']' : '}');
+}
+
+// --- SVG Export Functions ---
+// Writes the layers as SVG polygons (paths for curved layers) in game units: the ship's 'size' spans -1..1 of vertexData, nose along +X.
+
+function exportSvgFile() {
+    let layerShapes = proceduralParams ? bakeProceduralLayers(proceduralParams, frameCount) : shapes; // Procedural ships as the frame on screen
+    if (layerShapes.length === 0) { console.warn("Export SVG: no shape layers to export."); return; }
+    let includeGlow = svgGlowCheckbox ? svgGlowCheckbox.elt.checked : true;
+    let background = svgBackgroundSelect ? svgBackgroundSelect.value() : 'transparent';
+    let glowShapes = includeGlow ? thrusterGlowShapes(thrusters, getShipDrawSize() / pixelsPerUnit / 2) : [];
+    let svg = buildShipSvgLines(layerShapes, getShipDrawSize() / pixelsPerUnit, glowShapes, background);
+    saveStrings(svg, getDefinitionKeyForExport(), 'svg');
+}
+
+function getEngineGlowSource(baseDef) {
+    // Body of a definition's 'if (thrusting)' block in its draw function (null if none)
+    if (!baseDef || typeof baseDef.drawFunction !== 'function') return null;
+    let funcStr = baseDef.drawFunction.toString();
+    let glowMatch = funcStr.match(/if\s*\(\s*thrusting\s*\)\s*\{/);
+    if (!glowMatch) return null;
+    let glowOpen = glowMatch.index + glowMatch[0].length - 1;
+    let glowClose = findMatchingBrace(funcStr, glowOpen);
+    return glowClose === -1 ? null : funcStr.slice(glowOpen + 1, glowClose).trim();
+}
+
+function parseEngineGlowShapes(code, r) {
+    // Replays the fill()/stroke()/ellipse()/rect() calls of a glow block with radius 'r' (p5 default
+    // CENTER ellipse / CORNER rect modes, as the game draws them). Returns { shapes, skipped }.
+    let result = { shapes: [], skipped: [] };
+    let style = { fill: [255, 255, 255], stroke: null, strokeW: 1 };
+    let callPattern = /([A-Za-z_]\w*)\s*\(/g, match;
+    while ((match = callPattern.exec(code)) !== null) {
+        let argsOpen = match.index + match[0].length - 1;
+        let argsClose = findMatchingBrace(code, argsOpen, '(', ')');
+        if (argsClose === -1) break;
+        callPattern.lastIndex = argsClose + 1;
+        let name = match[1];
+        let rawArgs = splitTopLevelArgs(code.slice(argsOpen + 1, argsClose));
+        let args = rawArgs.map(arg => evaluateGlowExpression(arg, r));
+        if (name === 'fill' || name === 'stroke') {
+            let rgba = glowColorFromArgs(args);
+            if (!rgba) { result.skipped.push(`${name}(${rawArgs.join(', ')})`); continue; }
+            style[name] = rgba;
+        } else if (name === 'noFill') { style.fill = null;
+        } else if (name === 'noStroke') { style.stroke = null;
+        } else if (name === 'strokeWeight' && isFinite(args[0])) { style.strokeW = args[0];
+        } else if ((name === 'ellipse' || name === 'rect') && args.length >= 3 && args.slice(0, 4).every(isFinite)) {
+            let w = args[2], h = args.length >= 4 ? args[3] : args[2];
+            result.shapes.push({ type: name, x: args[0], y: args[1], w, h, fill: style.fill, stroke: style.stroke, strokeW: style.strokeW });
+        } else {
+            result.skipped.push(`${name}(${rawArgs.join(', ')})`);
+        }
+    }
+    return result;
+}
+
+function splitTopLevelArgs(argText) {
+    let args = [], depth = 0, start = 0;
+    for (let i = 0; i < argText.length; i++) {
+        let ch = argText[i];
+        if (ch === '(' || ch === '[') depth++;
+        else if (ch === ')' || ch === ']') depth--;
+        else if (ch === ',' && depth === 0) { args.push(argText.slice(start, i).trim()); start = i + 1; }
+    }
+    if (argText.trim() !== '') args.push(argText.slice(start).trim());
+    return args;
+}
+
+function evaluateGlowExpression(expr, r) {
+    // Plain arithmetic on numbers and 'r' only: + - * / and brackets (anything else, e.g. sin(frameCount), gives NaN)
+    let tokens = expr.match(/\d*\.?\d+(?:e[+-]?\d+)?|\S/gi) || [];
+    let pos = 0;
+    let parseSum = () => {
+        let value = parseProduct();
+        while (tokens[pos] === '+' || tokens[pos] === '-') value = tokens[pos++] === '+' ? value + parseProduct() : value - parseProduct();
+        return value;
+    };
+    let parseProduct = () => {
+        let value = parseUnary();
+        while (tokens[pos] === '*' || tokens[pos] === '/') value = tokens[pos++] === '*' ? value * parseUnary() : value / parseUnary();
+        return value;
+    };
+    let parseUnary = () => {
+        if (tokens[pos] === '-') { pos++; return -parseUnary(); }
+        if (tokens[pos] === '+') { pos++; return parseUnary(); }
+        let token = tokens[pos++];
+        if (token === 'r') return r;
+        if (token === '(') {
+            let value = parseSum();
+            return tokens[pos++] === ')' ? value : NaN;
+        }
+        return token !== undefined && /^[\d.]/.test(token) ? parseFloat(token) : NaN;
+    };
+    let value = parseSum();
+    return pos === tokens.length ? value : NaN;
+}
+
+function glowColorFromArgs(args) {
+    // p5 colour arguments (gray / gray,alpha / r,g,b / r,g,b,alpha) as [r, g, b, a]; an animated alpha is dropped
+    if (args.length <= 2) return isFinite(args[0]) ? [args[0], args[0], args[0], isFinite(args[1]) ? args[1] : 255] : null;
+    if (!args.slice(0, 3).every(isFinite)) return null;
+    return [args[0], args[1], args[2], isFinite(args[3]) ? args[3] : 255];
+}
+
+function buildShipSvgLines(layerShapes, size, glowShapes, background) {
+    let r = size / 2;
+    let drawOrder = [...layerShapes].reverse().filter(shape => shape?.vertexData?.length >= 2); // Bottom layer first, like draw()
+    let fmt = n => String(+n.toFixed(3));
+    let svgColor = rgb => rgb ? rgbToHex(rgb.slice(0, 3)) : 'none';
+    let strokeWidth = shape => typeof shape.strokeW === 'number' ? shape.strokeW : 1; // 0 is a valid (no outline) width
+    let opacityAttr = (name, rgb) => rgb && rgb.length > 3 && rgb[3] < 255 ? ` ${name}-opacity="${fmt(constrain(rgb[3], 0, 255) / 255)}"` : '';
+
+    // Fit the view box around every outline (curves included, plus half its stroke) and glow shape
+    let minX = -r, minY = -r, maxX = r, maxY = r;
+    let include = (x, y, pad) => { minX = Math.min(minX, x - pad); maxX = Math.max(maxX, x + pad); minY = Math.min(minY, y - pad); maxY = Math.max(maxY, y + pad); };
+    drawOrder.forEach(shape => { if (!shape.hidden) flattenOutline(shape.vertexData).forEach(v => include(v.x * r, v.y * r, strokeWidth(shape) / 2)); });
+    glowShapes.forEach(g => {
+        if (g.type === 'ellipse') { include(g.x - g.w / 2, g.y - g.h / 2, 0); include(g.x + g.w / 2, g.y + g.h / 2, 0); }
+        else { include(g.x, g.y, 0); include(g.x + g.w, g.y + g.h, 0); }
+    });
+    let pad = 1;
+    let box = [minX - pad, minY - pad, maxX - minX + pad * 2, maxY - minY + pad * 2].map(fmt);
+
+    let lines = [];
+    lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${box[2]}" height="${box[3]}" viewBox="${box.join(' ')}">`);
+    lines.push(`  <title>${escapeXml(String(currentShipStats.name || getDefinitionKeyForExport()))}</title>`);
+    if (background === 'black') lines.push(`  <rect x="${box[0]}" y="${box[1]}" width="${box[2]}" height="${box[3]}" fill="#000000"/>`);
+    lines.push(`  <g id="hull" stroke-linejoin="miter">`);
+    drawOrder.forEach((shape, i) => {
+        let vertices = shape.vertexData.filter(v => typeof v?.x === 'number' && typeof v?.y === 'number');
+        let xy = p => `${fmt(p.x * r)},${fmt(p.y * r)}`;
+        let extraAttrs = (shape.name ? ` data-name="${escapeXml(shape.name)}"` : '') + (shape.hidden ? ' display="none"' : ''); // Hidden layers stay in the file
+        let paint = `fill="${svgColor(shape.fillColor)}" stroke="${svgColor(shape.strokeColor)}" stroke-width="${fmt(strokeWidth(shape))}"`;
+        if (!isCurvedOutline(vertices)) { lines.push(`    <polygon id="layer-${i}"${extraAttrs} points="${vertices.map(xy).join(' ')}" ${paint}/>`); return; }
+        // Curved layers as a path: a cubic (C) per curved edge, a line (L) per straight one
+        let d = [`M${xy(vertices[0])}`];
+        vertices.forEach((_, j) => {
+            let next = vertices[(j + 1) % vertices.length], c = outlineSegmentControls(vertices, j);
+            if (c) d.push(`C${xy(c.c1)} ${xy(c.c2)} ${xy(next)}`);
+            else if (j < vertices.length - 1) d.push(`L${xy(next)}`);
+        });
+        lines.push(`    <path id="layer-${i}"${extraAttrs} d="${d.join(' ')} Z" ${paint}/>`);
+    });
+    lines.push(`  </g>`);
+    if (glowShapes.length > 0) { // Drawn after the hull, as the draw functions do
+        lines.push(`  <g id="thruster-glow">`);
+        for (let g of glowShapes) {
+            let paint = `fill="${svgColor(g.fill)}"${opacityAttr('fill', g.fill)} stroke="${svgColor(g.stroke)}"${opacityAttr('stroke', g.stroke)}${g.stroke ? ` stroke-width="${fmt(g.strokeW)}"` : ''}`;
+            if (g.type === 'ellipse') lines.push(`    <ellipse cx="${fmt(g.x)}" cy="${fmt(g.y)}" rx="${fmt(Math.abs(g.w) / 2)}" ry="${fmt(Math.abs(g.h) / 2)}" ${paint}/>`);
+            else lines.push(`    <rect x="${fmt(Math.min(g.x, g.x + g.w))}" y="${fmt(Math.min(g.y, g.y + g.h))}" width="${fmt(Math.abs(g.w))}" height="${fmt(Math.abs(g.h))}" ${paint}/>`);
+        }
+        lines.push(`  </g>`);
+    }
+    lines.push(`</svg>`);
+    return lines;
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+// --- PNG Sprite Export Functions ---
+// Renders ships into off-screen graphics (idle and thrusting, several frames for frameCount-animated
+// ships such as the Thargoid), packs them into one PNG sheet and writes a JSON atlas of frame rectangles.
+// A sprite source's draw(s, thrusting, g, frame) draws on 'g' (the main canvas by default) at 'frame'
+// (default frameCount). Hand-written ships.js functions only draw on the main canvas (source.mainCanvasOnly):
+// their frames are drawn there and copied, so they are limited to the canvas size and are not animated.
+
+const spriteStates = ['idle', 'thrusting'];
+const spriteAnimationCycleFrames = 720; // One full Thargoid hue cycle (0.5 degrees per frame)
+const spritePadding = 2; // Empty pixels around each frame so neighbours don't bleed when scaled
+const spriteMaxSheetSize = 16384; // Larger canvases fail in most browsers
+
+function exportSpriteSheet() {
+    let sizes = parseSpriteSizes(spriteSizesInput ? spriteSizesInput.value() : '64');
+    if (!sizes) { alert("Sprite export: enter pixel sizes between 8 and 1024, separated by commas (e.g. 32, 64, 128)."); return; }
+    let animationFrames = parseInt(spriteFramesInput ? spriteFramesInput.value() : '8', 10);
+    if (!(animationFrames >= 1 && animationFrames <= 64)) { alert("Sprite export: animated frames must be between 1 and 64."); return; }
+    let wholeFleet = spriteScopeSelect && spriteScopeSelect.value() === 'fleet';
+
+    let sources = wholeFleet ? getFleetSpriteSources() : [getCurrentSpriteSource()].filter(Boolean);
+    if (sources.length === 0) { console.warn("Sprite export: nothing to render."); alert("Sprite export: load a ship or draw some layers first."); return; }
+
+    let frames = [], tooLargeKeys = new Set();
+    for (let source of sources) {
+        for (let size of sizes) {
+            if (source.mainCanvasOnly && size > Math.min(width, height)) { tooLargeKeys.add(source.key); continue; }
+            for (let state of spriteStates) {
+                let count = source.animated ? animationFrames : 1;
+                for (let frame = 0; frame < count; frame++) {
+                    let scale = 2 * (size / 2 - 1) / source.extent; // Ship size in pixels so its furthest point fits the frame
+                    frames.push({ source, size, state, frame, frameCount: 1 + Math.round(frame * spriteAnimationCycleFrames / count), scale, pixelsPerUnit: scale / source.shipSize });
+                }
+            }
+        }
+    }
+    if (frames.length === 0) { alert(`Sprite export: ${[...tooLargeKeys].join(', ')} can only be rendered up to ${Math.min(width, height)} px. Choose a smaller size.`); return; }
+    let sheetSize = packSpriteFrames(frames, spritePadding);
+    if (sheetSize.width > spriteMaxSheetSize || sheetSize.height > spriteMaxSheetSize) {
+        alert(`Sprite export: the sheet would be ${sheetSize.width}x${sheetSize.height} px. Choose fewer or smaller sizes.`);
+        return;
+    }
+
+    let name = wholeFleet ? 'fleet_sprites' : `${sources[0].key}_sprites`;
+    let sheet = null, buffers = {}, failedKeys = new Set();
+    try {
+        sheet = createGraphics(sheetSize.width, sheetSize.height);
+        sheet.pixelDensity(1); sheet.clear();
+        for (let frame of frames) {
+            if (failedKeys.has(frame.source.key)) continue;
+            let buffer = buffers[frame.size];
+            if (!buffer) {
+                buffer = buffers[frame.size] = createGraphics(frame.size, frame.size);
+                buffer.pixelDensity(1);
+                buffer.angleMode(DEGREES); // As on the editor canvas (see setup())
+            }
+            try {
+                renderSpriteFrame(buffer, frame);
+            } catch (e) {
+                console.error(`Sprite export: drawing ${frame.source.key} failed:`, e);
+                failedKeys.add(frame.source.key);
+                buffer.remove(); delete buffers[frame.size]; // Its drawing state may be left half changed
+                continue;
+            }
+            sheet.image(buffer, frame.x, frame.y);
+        }
+        saveCanvas(sheet, name, 'png');
+        saveJSON(buildSpriteAtlas(frames, sheetSize, `${name}.png`, sizes), `${name}.json`);
+        console.log(`Exported ${frames.length} sprite frame(s) for ${sources.length} ship(s) to ${name}.png (${sheetSize.width}x${sheetSize.height}).`);
+        if (failedKeys.size > 0) alert(`Sprite export: ${[...failedKeys].join(', ')} could not be drawn, so their frames are empty. See the console for details.`);
+        if (tooLargeKeys.size > 0) alert(`Sprite export: ${[...tooLargeKeys].join(', ')} use hand-written draw functions, which can only be rendered up to ${Math.min(width, height)} px (the editor canvas), so their larger sizes were left out.`);
+    } catch (e) {
+        console.error("Sprite export failed:", e);
+        alert(`Sprite export failed: ${e.message}`);
+    } finally {
+        Object.values(buffers).forEach(buffer => buffer.remove());
+        if (sheet) sheet.remove();
+    }
+}
+
+function parseSpriteSizes(text) {
+    // "32, 64, 128" -> [32, 64, 128] (sorted, unique); null if any entry is invalid
+    let parts = String(text).split(/[\s,]+/).filter(part => part !== '');
+    let sizes = parts.map(Number);
+    if (sizes.length === 0 || sizes.some(n => !Number.isInteger(n) || n < 8 || n > 1024)) return null;
+    return [...new Set(sizes)].sort((a, b) => a - b);
+}
+
+function getCurrentSpriteSource() {
+    // Unedited ships render with their real draw function; edited or blank designs from the editor layers
+    let baseDef = getLoadedBaseDefinition();
+    let key = getDefinitionKeyForExport();
+    if (baseDef && !isDesignModified()) return spriteSourceFromDefinition(currentShipKey, baseDef);
+    if (proceduralParams) return spriteSourceFromProcedural(key, proceduralParams, thrusters, currentShipStats.size || baseDef?.size || blankShipSize);
+    if (shapes.length === 0) return null;
+    return spriteSourceFromLayers(key, shapes, thrusters, currentShipStats.size || baseDef?.size || blankShipSize);
+}
+
+function getFleetSpriteSources() {
+    // Every SHIP_DEFINITIONS entry (with this session's edits, as 'Write ships.js' writes them) plus new designs
+    stashCurrentEdits();
+    let sources = [];
+    for (let key in SHIP_DEFINITIONS) {
+        let source = getDefinitionSpriteSource(key);
+        if (source) sources.push(source);
+    }
+    for (let key in sessionEdits) {
+        let edit = sessionEdits[key];
+        if (edit.isNew) sources.push(spriteSourceFromLayers(key, edit.layers, edit.thrusters, edit.stats.size || blankShipSize));
+    }
+    return sources;
+}
+
+function getDefinitionSpriteSource(key) {
+    // A SHIP_DEFINITIONS entry with the edits stashed for it this session, or null if it has nothing to draw
+    let def = SHIP_DEFINITIONS[key], edit = sessionEdits[key];
+    if (!def) return null;
+    if (edit?.procedural) return spriteSourceFromProcedural(key, edit.procedural, edit.thrusters, edit.stats.size || def.size);
+    if (edit && edit.layers.length > 0) return spriteSourceFromLayers(key, edit.layers, edit.thrusters, edit.stats.size || def.size);
+    if (typeof def.drawFunction === 'function') return spriteSourceFromDefinition(key, def);
+    return null;
+}
+
+function spriteSourceFromDefinition(key, def) {
+    // Procedural entries draw from their parameters (as their draw function does); others with their draw function
+    if (def.procedural) return spriteSourceFromProcedural(key, def.procedural, thrustersFromDefinition(def), def.size || blankShipSize);
+    let layers = Array.isArray(def.layers) && def.layers.length > 0 ? def.layers : [def];
+    return {
+        key, shipSize: def.size || blankShipSize, animated: false, mainCanvasOnly: true,
+        extent: getSpriteExtent(layers, thrustersFromDefinition(def)),
+        draw: (s, thrusting) => def.drawFunction(s, thrusting)
+    };
+}
+
+function spriteSourceFromLayers(key, layerShapes, thrusterList, shipSize) {
+    let layers = [...layerShapes].reverse(); // drawShapesFromLayers() wants the bottom layer first
+    return {
+        key, shipSize, animated: false,
+        extent: getSpriteExtent(layers, thrusterList),
+        draw: (s, thrusting, g = window) => {
+            let r = s / 2;
+            drawShapesFromLayers(r, { layers }, g);
+            if (thrusting) drawEngineGlowShapes(thrusterGlowShapes(thrusterList, r), g);
+        }
+    };
+}
+
+function spriteSourceFromProcedural(key, params, thrusterList, shipSize) {
+    return {
+        key, shipSize, animated: true,
+        extent: getSpriteExtent([], thrusterList, params),
+        draw: (s, thrusting, g = window, frame = frameCount) => {
+            let r = s / 2;
+            drawProceduralShip(r, params, g, frame);
+            if (thrusting) drawEngineGlowShapes(thrusterGlowShapes(thrusterList, r), g);
+        }
+    };
+}
+
+function getSpriteExtent(layers, thrusterList, procedural = null) {
+    // Furthest point drawn, in ship radii (at least 1.1, the Thargoid's spikes), plus a small margin for strokes
+    let extent = 1.1;
+    for (let layer of layers) if (!layer.hidden) for (let v of flattenOutline(layer.vertexData || [])) extent = Math.max(extent, Math.hypot(v.x, v.y));
+    if (procedural) extent = Math.max(extent, procedural.outerRadius, procedural.innerRadius, procedural.coreSize / 2);
+    for (let t of thrusterList) extent = Math.max(extent, Math.hypot(abs(t.x) + t.rx, abs(t.y) + t.ry));
+    return extent * 1.05;
+}
+
+function drawEngineGlowShapes(glowShapes, g = window) {
+    // Replays parseEngineGlowShapes()/thrusterGlowShapes() output with the game's default ellipse/rect modes
+    g.push();
+    g.ellipseMode(CENTER); g.rectMode(CORNER);
+    for (let shape of glowShapes) {
+        if (shape.fill) g.fill(shape.fill[0], shape.fill[1], shape.fill[2], shape.fill[3]); else g.noFill();
+        if (shape.stroke) { g.stroke(shape.stroke[0], shape.stroke[1], shape.stroke[2], shape.stroke[3]); g.strokeWeight(shape.strokeW); } else g.noStroke();
+        if (shape.type === 'ellipse') g.ellipse(shape.x, shape.y, shape.w, shape.h); else g.rect(shape.x, shape.y, shape.w, shape.h);
+    }
+    g.pop();
+}
+
+function renderSpriteFrame(buffer, frame) {
+    // Draws one frame centred in 'buffer' at frame.scale.
+    // Throws if the ship's draw function does (the buffer's drawing state is then undefined).
+    buffer.clear();
+    if (frame.source.mainCanvasOnly) { buffer.image(renderOnMainCanvas(frame), 0, 0, frame.size, frame.size); return; }
+    buffer.push();
+    buffer.translate(frame.size / 2, frame.size / 2);
+    frame.source.draw(frame.scale, frame.state === 'thrusting', buffer, frame.frameCount);
+    buffer.pop();
+}
+
+function renderOnMainCanvas(frame) {
+    // Draws a global-mode frame in the main canvas's top left corner and returns a copy of it.
+    // The editor redraws the whole canvas on its next frame.
+    push();
+    try {
+        resetMatrix(); clear();
+        translate(frame.size / 2, frame.size / 2);
+        ellipseMode(CENTER); // ships.js draws with the game's default ellipse mode
+        frame.source.draw(frame.scale, frame.state === 'thrusting');
+    } finally {
+        pop();
+    }
+    return get(0, 0, frame.size, frame.size);
+}
+
+function packSpriteFrames(frames, padding) {
+    // Shelf packing, largest frames first, into a roughly square sheet. Sets frame.x/y; returns the sheet size.
+    let maxSize = Math.max(...frames.map(f => f.size));
+    let area = frames.reduce((sum, f) => sum + (f.size + padding) ** 2, 0);
+    let width = Math.max(maxSize + padding * 2, Math.ceil(Math.sqrt(area)) + padding);
+    let x = padding, y = padding, rowHeight = 0;
+    for (let f of [...frames].sort((a, b) => b.size - a.size)) {
+        if (x + f.size + padding > width) { x = padding; y += rowHeight + padding; rowHeight = 0; }
+        f.x = x; f.y = y;
+        x += f.size + padding; rowHeight = Math.max(rowHeight, f.size);
+    }
+    return { width, height: y + rowHeight + padding };
+}
+
+function buildSpriteAtlas(frames, sheetSize, imageName, sizes) {
+    // frames[shipKey][state] = [{ size, frame, x, y, w, h, pixelsPerUnit }, ...]
+    let atlas = {
+        meta: { generator: 'Elite Ship Editor', image: imageName, width: sheetSize.width, height: sheetSize.height, sizes, states: spriteStates, animationCycleFrames: spriteAnimationCycleFrames },
+        frames: {}
+    };
+    for (let f of frames) {
+        let byState = atlas.frames[f.source.key] = atlas.frames[f.source.key] || {};
+        (byState[f.state] = byState[f.state] || []).push({ size: f.size, frame: f.frame, x: f.x, y: f.y, w: f.size, h: f.size, pixelsPerUnit: +f.pixelsPerUnit.toFixed(4) });
+    }
+    return atlas;
+}
+
+// --- Import Functions ---
+// Reads code written by exportDrawFunctionCode() back into the editor.
+// Format 2 (the full draw function) carries every layer, so it is preferred;
+// Format 1 (first layer data only) is used when no draw function is found.
+const importNumberPattern = '-?\\d*\\.?\\d+(?:[eE][-+]?\\d+)?';
+
+function handleImportFileChosen() {
+    let file = importFileInput?.elt?.files?.[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => importShipCode(String(reader.result), file.name);
+    reader.onerror = () => { console.error("Import failed: could not read file", file.name, reader.error); alert(`Could not read '${file.name}'.`); };
+    reader.readAsText(file);
+    importFileInput.elt.value = ''; // Allow re-importing the same file
+}
+
+function handleImportPastedCode() {
+    let code = importCodeArea ? importCodeArea.value() : '';
+    if (!code || !code.trim()) { console.warn("Import: paste box is empty."); return; }
+    importShipCode(code, 'pasted code');
+}
+
+function importShipCode(code, sourceLabel) {
+    let result;
+    try {
+        result = parseExportedShipCode(code);
+    } catch (e) {
+        console.error("Import failed while parsing", sourceLabel, e);
+        alert(`Import failed: ${e.message}`);
+        return;
+    }
+    if (result.layers.length === 0 && !result.procedural) {
+        console.warn("Import: no shape layers found in", sourceLabel);
+        alert("Import failed: no shape layers (beginShape/vertex/endShape or vertexData) were found.");
+        return;
+    }
+
+    // Reload the base ship the export was made from (if it is still defined), otherwise start a blank design
+    // Imported glow code becomes thruster data; without any the base ship's thrusters are kept
+    let importedThrusters = result.engineGlowCode !== null ? thrustersFromGlowCode(result.engineGlowCode, skipped => alertSkippedGlowCalls(sourceLabel, skipped)) : null;
+    let baseKey = loadDesignOntoBase(result.baseName, result.layers, importedThrusters, result.procedural);
+    currentShipStats = { ...currentShipStats, ...result.stats };
+    updateStatsForm();
+    projectDirty = true;
+    console.log(`Imported ${result.procedural ? 'procedural parameters' : `${shapes.length} layer(s)`} from ${sourceLabel} (Format ${result.format}, base: ${baseKey}, engine glow: ${result.engineGlowCode !== null ? 'yes' : 'no'}).`);
+}
+
+function loadDesignOntoBase(baseKey, layers, thrusterList, procedural) {
+    // Selects baseKey in the dropdown (falls back to a blank design if it has no editable data),
+    // then replaces its layers (and its thrusters, unless thrusterList is null). 'procedural' replaces the
+    // procedural parameters (null: none, i.e. a layered design; undefined: keep the base's). Returns the key actually used.
+    let baseDef = baseKey ? SHIP_DEFINITIONS[baseKey] : null;
+    let key = definitionHasEditableShapes(baseDef) || baseDef?.procedural ? baseKey : '--- New Blank ---';
+    shipSelector.selected(key);
+    handleShipSelection();
+
+    shapes = layers; editRevision++;
+    if (thrusterList) { thrusters = thrusterList; setThrusterNote(''); } // The base ship's glow note no longer applies
+    if (procedural !== undefined) proceduralParams = procedural ? { ...procedural } : null;
+    selectedShapeIndex = shapes.length > 0 ? 0 : -1; selectedVertexIndices = [];
+    ensureMirrorLinks(selectedShapeIndex);
+    updateUIControls(); updateColorPickersFromSelection();
+    return key;
+}
+
+function parseExportedShipCode(code) {
+    // Returns { format, baseName, layers: [shape,...] (top layer first, like 'shapes'), engineGlowCode: string|null,
+    //           procedural: {...}|null, stats: {...} }
+    let result = { format: 2, baseName: null, layers: [], engineGlowCode: null, procedural: parseProceduralParams(code), stats: parseShipStats(code) };
+    let funcMatch = code.match(/function\s+draw(\w+?)(?:_Edited)?\s*\([^)]*\)\s*\{/);
+    if (funcMatch) {
+        result.baseName = funcMatch[1];
+        let bodyStart = funcMatch.index + funcMatch[0].length;
+        let bodyEnd = findMatchingBrace(code, bodyStart - 1);
+        if (bodyEnd === -1) throw new Error("draw function body is not closed (unbalanced braces)");
+        let body = code.slice(bodyStart, bodyEnd);
+
+        // Cut the 'if (thrusting) {...}' block out first so its fill() calls are not mistaken for layer colours
+        let glowMatch = body.match(/if\s*\(\s*thrusting\s*\)\s*\{/);
+        if (glowMatch) {
+            let glowOpen = glowMatch.index + glowMatch[0].length - 1;
+            let glowClose = findMatchingBrace(body, glowOpen);
+            if (glowClose === -1) throw new Error("'if (thrusting)' block is not closed (unbalanced braces)");
+            result.engineGlowCode = body.slice(glowOpen + 1, glowClose).trim();
+            body = body.slice(0, glowMatch.index) + body.slice(glowClose + 1);
+        }
+        result.layers = parseDrawFunctionLayers(body);
+    }
+    if (result.layers.length === 0) { // Definition entry with a 'layers' array (see exportDefinitionEntryCode)
+        result.layers = parseDefinitionLayers(code);
+        if (result.layers.length > 0) result.format = 3;
+    }
+    if (result.layers.length === 0) { // Fall back to Format 1 (first layer data only)
+        let layer = parseFormat1Layer(code);
+        if (layer) { result.format = 1; result.layers = [layer]; }
+    }
+    if (!result.baseName) {
+        let headerMatch = code.match(/Generated Export for (\w+)/);
+        if (headerMatch && headerMatch[1] !== 'CustomShip') result.baseName = headerMatch[1];
+    }
+    return result;
+}
+
+function parseProceduralParams(code) {
+    // Reads the parameters of 'drawProceduralShip(r, { ... })' or a 'procedural: { ... }' entry field (null if there are none)
+    let match = code.match(/(?:drawProceduralShip\s*\(\s*r\s*,\s*|\bprocedural\s*:\s*)\{([^{}]*)\}/);
+    if (!match) return null;
+    let params = {};
+    for (let spec of PROCEDURAL_PARAM_SCHEMA) {
+        let valueMatch = match[1].match(new RegExp(`\\b${spec.field}\\s*:\\s*(${importNumberPattern})`));
+        if (valueMatch) params[spec.field] = parseFloat(valueMatch[1]);
+    }
+    let problem = validateProceduralParams(params);
+    if (problem) { console.warn(`Import: procedural parameters ignored (${problem}).`); return null; }
+    return params;
+}
+
+function parseShipStats(code) {
+    // Picks up 'field: value' pairs for SHIP_STAT_SCHEMA fields (as written by the Ship Stats export block)
+    let stats = {};
+    for (let spec of SHIP_STAT_SCHEMA) {
+        let valuePattern = spec.type === 'number' ? `(${importNumberPattern})` : `("(?:[^"\\\\]|\\\\.)*")`;
+        let match = code.match(new RegExp(`\\b${spec.field}\\s*:\\s*${valuePattern}`));
+        if (!match) continue;
+        try {
+            stats[spec.field] = spec.type === 'number' ? parseFloat(match[1]) : JSON.parse(match[1]);
+        } catch (e) {
+            console.warn(`Import: could not read stat '${spec.field}':`, match[1]);
+        }
+    }
+    return stats;
+}
+
+function parseDrawFunctionLayers(body) {
+    // Walks the fill/stroke/strokeWeight/beginShape/vertex/bezierVertex/curveVertex/endShape calls in order.
+    // Layers are exported bottom first, so the result is reversed to match 'shapes' (index 0 = top).
+    const num = importNumberPattern;
+    const callPattern = new RegExp(
+        `//\\s*---\\s*Shape Layer \\d+:\\s*("(?:[^"\\\\]|\\\\.)*")\\s*\\(Index` + // Layer name comment (see exportDrawFunctionCode)
+        `|\\b(noFill|noStroke|fill|stroke|strokeWeight|beginShape|endShape|bezierVertex|curveVertex)\\s*\\(([^;]*?)\\)\\s*;` +
+        `|\\bvertex\\s*\\(\\s*(?:r\\s*\\*\\s*(${num})|(${num})\\s*\\*\\s*r)\\s*,\\s*(?:r\\s*\\*\\s*(${num})|(${num})\\s*\\*\\s*r)\\s*\\)`, 'g');
+    let layers = [];
+    let style = { fillColor: [180, 180, 180], strokeColor: [50, 50, 50], strokeW: 1 };
+    let current = null;
+    let pendingName = null; // From a '// --- Shape Layer N: "name"' comment, for the next shape
+    let match;
+    while ((match = callPattern.exec(body)) !== null) {
+        if (match[1] !== undefined) { pendingName = JSON.parse(match[1]); continue; }
+        let fn = match[2];
+        if (fn === undefined) { // vertex(...)
+            if (!current) continue;
+            let x = parseFloat(match[4] ?? match[5]); let y = parseFloat(match[6] ?? match[7]);
+            if (!isNaN(x) && !isNaN(y)) current.vertexData.push({ x, y });
+            continue;
+        }
+        let args = match[3];
+        if (fn === 'fill' || fn === 'stroke') {
+            let rgb = parseColorArgs(args);
+            if (rgb) style[fn === 'fill' ? 'fillColor' : 'strokeColor'] = rgb;
+            else console.warn(`Import: could not read ${fn}(${args}), keeping previous colour.`);
+        } else if (fn === 'strokeWeight') {
+            let numbers = args.match(new RegExp(num, 'g'));
+            if (numbers) style.strokeW = parseFloat(numbers[numbers.length - 1]); // max(0.5, W) -> W
+        } else if (fn === 'noStroke') {
+            style.strokeW = 0;
+        } else if (fn === 'bezierVertex' && current) {
+            let p = parseScaledCoordinates(args), prev = current.vertexData[current.vertexData.length - 1];
+            if (!p || p.length !== 6 || !prev) { console.warn(`Import: could not read bezierVertex(${args}), skipped.`); continue; }
+            let next = { x: p[4], y: p[5] };
+            makeSmoothVertex(prev).handleOut = { x: p[0] - prev.x, y: p[1] - prev.y };
+            makeSmoothVertex(next).handleIn = { x: p[2] - next.x, y: p[3] - next.y };
+            current.vertexData.push(next);
+        } else if (fn === 'curveVertex' && current) {
+            let p = parseScaledCoordinates(args);
+            if (p && p.length === 2) { if (!current.curvePoints) current.curvePoints = []; current.curvePoints.push({ x: p[0], y: p[1], curve: 'catmull' }); }
+            else console.warn(`Import: could not read curveVertex(${args}), skipped.`);
+        } else if (fn === 'beginShape') {
+            current = { vertexData: [], fillColor: [...style.fillColor], strokeColor: [...style.strokeColor], strokeW: style.strokeW };
+            if (pendingName !== null) { current.name = pendingName; pendingName = null; }
+        } else if (fn === 'endShape' && current) {
+            closeImportedOutline(current);
+            if (current.vertexData.length >= 3) layers.push(current);
+            else console.warn(`Import: skipped a shape with only ${current.vertexData.length} vertices.`);
+            current = null;
+        }
+    }
+    return layers.reverse();
+}
+
+function parseScaledCoordinates(args) {
+    // "r * 0.5, -0.25 * r, ..." -> [0.5, -0.25, ...]; null if any argument isn't a number scaled by r
+    const num = importNumberPattern;
+    let term = new RegExp(`^(?:r\\s*\\*\\s*(${num})|(${num})\\s*\\*\\s*r)$`);
+    let values = args.split(',').map(a => a.trim().match(term)).map(m => m ? parseFloat(m[1] ?? m[2]) : NaN);
+    return values.some(isNaN) ? null : values;
+}
+
+function makeSmoothVertex(v) {
+    // Turns an imported vertex smooth (zero-length handles are corners on that side); returns it
+    if (v.curve !== 'smooth') { v.curve = 'smooth'; v.handleIn = { x: 0, y: 0 }; v.handleOut = { x: 0, y: 0 }; }
+    return v;
+}
+
+function closeImportedOutline(layer) {
+    // curveVertex() runs use their first and last points only as guides (an exported loop also repeats the first
+    // point); a bezierVertex() back onto the first vertex closes the outline, so the duplicate is merged into it
+    if (layer.curvePoints) {
+        let points = layer.curvePoints.slice(1, -1);
+        if (points.length > 1 && distSq(points[0].x, points[0].y, points[points.length - 1].x, points[points.length - 1].y) < 1e-12) points.pop();
+        layer.vertexData = points;
+        delete layer.curvePoints;
+    }
+    let vertices = layer.vertexData, first = vertices[0], last = vertices[vertices.length - 1];
+    if (vertices.length > 1 && last.curve === 'smooth' && distSq(first.x, first.y, last.x, last.y) < 1e-12) {
+        makeSmoothVertex(first).handleIn = last.handleIn;
+        vertices.pop();
+    }
+}
+
+function parseDefinitionLayers(code) {
+    // Reads each '{ vertexData: [...], fillColor: ..., ... }' in a 'layers: [...]' array (bottom first) -> top first
+    let layersMatch = code.match(/\blayers\s*:\s*\[/);
+    if (!layersMatch) return [];
+    let open = layersMatch.index + layersMatch[0].length - 1;
+    let close = findMatchingBrace(code, open, '[', ']');
+    if (close === -1) throw new Error("'layers' array is not closed (unbalanced brackets)");
+    let listText = code.slice(open + 1, close);
+    let layers = [];
+    let layerStart = /\{\s*(?:name\s*:\s*"(?:[^"\\]|\\.)*"\s*,\s*)?vertexData\s*:/g;
+    let match;
+    while ((match = layerStart.exec(listText)) !== null) {
+        let end = findMatchingBrace(listText, match.index);
+        if (end === -1) throw new Error("layer object is not closed (unbalanced braces)");
+        let layerText = listText.slice(match.index, end + 1);
+        let layer = parseFormat1Layer(layerText);
+        if (layer) {
+            let nameMatch = layerText.match(/\bname\s*:\s*("(?:[^"\\]|\\.)*")/);
+            if (nameMatch) layer.name = JSON.parse(nameMatch[1]);
+            if (/\bhidden\s*:\s*true\b/.test(layerText)) layer.hidden = true;
+            layers.push(layer);
+        }
+        layerStart.lastIndex = end + 1;
+    }
+    return layers.reverse();
+}
+
+function parseFormat1Layer(code) {
+    let vertexBlock = code.match(/vertexData\s*:\s*\[([\s\S]*?)\]/);
+    if (!vertexBlock) return null;
+    const num = importNumberPattern;
+    // { x, y } with an optional curve: "catmull", or curve: "smooth" and its { x, y } handles (matched whole, so a handle is never read as a vertex)
+    let point = `\\{\\s*x\\s*:\\s*(${num})\\s*,\\s*y\\s*:\\s*(${num})\\s*`;
+    let handles = `,\\s*handleIn\\s*:\\s*${point}\\}\\s*,\\s*handleOut\\s*:\\s*${point}\\}\\s*`;
+    let vertexPattern = new RegExp(`${point}(?:,\\s*curve\\s*:\\s*["'](smooth|catmull)["']\\s*(?:${handles})?)?\\}`, 'g');
+    let vertexData = [];
+    let match;
+    while ((match = vertexPattern.exec(vertexBlock[1])) !== null) {
+        let v = { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+        if (match[3]) v.curve = match[3];
+        if (match[3] === 'smooth') {
+            if (match[4] !== undefined) { v.handleIn = { x: parseFloat(match[4]), y: parseFloat(match[5]) }; v.handleOut = { x: parseFloat(match[6]), y: parseFloat(match[7]) }; }
+            else v.curve = 'catmull'; // No handles to read: follow the neighbours instead
+        }
+        vertexData.push(v);
+    }
+    if (vertexData.length < 3) return null;
+    let fillMatch = code.match(/fillColor\s*:\s*\[([^\]]*)\]/);
+    let strokeMatch = code.match(/strokeColor\s*:\s*\[([^\]]*)\]/);
+    let weightMatch = code.match(new RegExp(`strokeW\\s*:\\s*(${num})`));
+    return {
+        vertexData: vertexData,
+        fillColor: (fillMatch && parseColorArgs(fillMatch[1])) || [180, 180, 180],
+        strokeColor: (strokeMatch && parseColorArgs(strokeMatch[1])) || [50, 50, 50],
+        strokeW: weightMatch ? parseFloat(weightMatch[1]) : 1
+    };
+}
+
+function parseColorArgs(args) {
+    // "r, g, b" (optionally with alpha) or a single grey value -> [r, g, b]; null if not plain numbers
+    let parts = args.split(',').map(p => p.trim());
+    if (parts.some(p => p === '' || isNaN(Number(p)))) return null;
+    let values = parts.map(Number);
+    if (values.length === 1 || values.length === 2) return [values[0], values[0], values[0]];
+    if (values.length >= 3) return values.slice(0, 3);
+    return null;
+}
+
+function findMatchingBrace(text, openIndex, openChar = '{', closeChar = '}') {
+    // Index of the closeChar matching the openChar at openIndex, or -1 (ignores brackets inside strings and comments)
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+        let ch = text[i];
+        if (ch === '/' && text[i + 1] === '/') { let nl = text.indexOf('\n', i); if (nl === -1) return -1; i = nl; continue; }
+        if (ch === '/' && text[i + 1] === '*') { let end = text.indexOf('*/', i + 2); if (end === -1) return -1; i = end + 1; continue; }
+        if (ch === '"' || ch === "'" || ch === '`') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== ch) { if (text[j] === '\\') j++; j++; }
+            i = j; continue;
+        }
+        if (ch === openChar) depth++;
+        else if (ch === closeChar) { depth--; if (depth === 0) return i; }
+    }
+    return -1;
+}
+
+// --- SVG Import Functions ---
+// Each <polygon>, <polyline>, <rect> and <path> subpath becomes a layer. Curves and arcs are
+// flattened to line segments, then the whole drawing is turned nose-to-+X, centred on the origin and
+// scaled so its longest half-extent is 1 (the relative vertexData space).
+
+const svgDefaultCurveTolerance = 0.01; // Max distance (relative units) between a curve and its flattened outline
+const svgContainerTags = ['svg', 'g', 'a', 'switch'];
+const svgIgnoredTags = ['defs', 'title', 'desc', 'metadata', 'style', 'script', 'symbol', 'clipPath', 'mask',
+    'linearGradient', 'radialGradient', 'pattern', 'marker', 'filter', 'namedview']; // Not drawn directly
+
+function handleSvgFileChosen() {
+    let file = svgFileInput?.elt?.files?.[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => importSvgCode(String(reader.result), file.name);
+    reader.onerror = () => { console.error("SVG import failed: could not read file", file.name, reader.error); alert(`Could not read '${file.name}'.`); };
+    reader.readAsText(file);
+    svgFileInput.elt.value = ''; // Allow re-importing the same file
+}
+
+function importSvgCode(svgText, sourceLabel) {
+    if (isProceduralSelected()) { alert("SVG import: procedural ships have no layers to add to. Use 'Bake to Polygons' first, or load another base."); return; }
+    let tolerance = parseFloat(svgToleranceInput ? svgToleranceInput.value() : svgDefaultCurveTolerance);
+    if (!(tolerance > 0)) { console.warn(`SVG import: invalid curve tolerance, using ${svgDefaultCurveTolerance}`); tolerance = svgDefaultCurveTolerance; }
+    let nose = svgNoseSelect ? svgNoseSelect.value() : 'up';
+
+    let result;
+    try {
+        result = parseSvgLayers(svgText, tolerance, nose);
+    } catch (e) {
+        console.error("SVG import failed while parsing", sourceLabel, e);
+        alert(`SVG import failed: ${e.message}`);
+        return;
+    }
+    let report = result.unsupported.length > 0 ? `\n\nNot imported: ${result.unsupported.join(', ')}` : '';
+    if (result.layers.length === 0) {
+        console.warn("SVG import: no usable shapes in", sourceLabel, result.unsupported);
+        alert(`SVG import failed: no <polygon>, <polyline>, <rect> or <path> shapes with 3+ points were found.${report}`);
+        return;
+    }
+
+    if (!isEditable()) { shipSelector.selected('--- New Blank ---'); handleShipSelection(); }
+    // Scale SVG stroke widths (relative units after normalising) to this ship's radius
+    let r = (getShipDrawSize() / pixelsPerUnit || blankShipSize) / 2;
+    for (let layer of result.layers) layer.strokeW = Math.max(0.5, +(layer.strokeW * r).toFixed(2));
+
+    beginHistoryStep(`Import SVG (${result.layers.length} layer${result.layers.length === 1 ? '' : 's'})`);
+    shapes.unshift(...result.layers); // Added on top of the existing layers
+    selectedShapeIndex = 0; selectedVertexIndices = [];
+    ensureMirrorLinks(selectedShapeIndex);
+    commitHistoryStep();
+    updateUIControls(); updateColorPickersFromSelection();
+    console.log(`Imported ${result.layers.length} layer(s) from ${sourceLabel} (nose ${nose}, tolerance ${tolerance}).`);
+    if (report) { console.warn(`SVG import (${sourceLabel}):${report}`); alert(`Imported ${result.layers.length} layer(s) from ${sourceLabel}.${report}`); }
+}
+
+function parseSvgLayers(svgText, tolerance, nose = 'up') {
+    // Returns { layers: [shape,...] (top layer first, like 'shapes'), unsupported: ["2 x <circle>", ...] }.
+    // Layer strokeW is in relative units (multiply by the ship radius).
+    let doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    let root = doc.documentElement;
+    if (!root || root.getElementsByTagName('parsererror').length > 0 || doc.getElementsByTagName('parsererror').length > 0) throw new Error("not a well-formed SVG/XML file");
+    if (root.localName !== 'svg') throw new Error(`root element is <${root.localName}>, not <svg>`);
+
+    let items = [], unsupportedCounts = {};
+    collectSvgShapes(root, [1, 0, 0, 1, 0, 0], items, unsupportedCounts);
+
+    // Estimate the final scale from control points (they bound the curves) to turn the tolerance into SVG units
+    let controlPoints = items.flatMap(item => item.subpaths.flatMap(sub => [sub.start, ...sub.segments.flatMap(seg => seg.c1 ? [seg.c1, seg.c2, seg.to] : [seg.to])])
+        .map(pt => applySvgMatrix(item.matrix, pt)));
+    let extent = svgPointsHalfExtent(controlPoints);
+    let layers = [];
+    for (let item of items) {
+        let matrixScale = Math.sqrt(Math.abs(item.matrix[0] * item.matrix[3] - item.matrix[1] * item.matrix[2])) || 1;
+        let localTolerance = tolerance * extent / matrixScale;
+        for (let sub of item.subpaths) {
+            let points = flattenSvgSubpath(sub, localTolerance).map(pt => orientSvgPoint(applySvgMatrix(item.matrix, pt), nose));
+            points = points.filter((pt, i) => i === 0 || Math.hypot(pt.x - points[i - 1].x, pt.y - points[i - 1].y) > 1e-9);
+            if (points.length > 1 && Math.hypot(points[0].x - points.at(-1).x, points[0].y - points.at(-1).y) <= 1e-9) points.pop(); // Drop closing duplicate
+            if (points.length < 3) { unsupportedCounts[`<${item.tag}> with fewer than 3 points`] = (unsupportedCounts[`<${item.tag}> with fewer than 3 points`] || 0) + 1; continue; }
+            let layer = { vertexData: points, fillColor: item.fillColor, strokeColor: item.strokeColor, strokeW: item.strokeWidth * matrixScale };
+            if (item.name) layer.name = item.subpaths.length > 1 ? `${item.name} ${item.subpaths.indexOf(sub) + 1}` : item.name;
+            layers.push(layer);
+        }
+    }
+
+    // Centre on the origin and scale into -1..1
+    let allPoints = layers.flatMap(layer => layer.vertexData);
+    let xs = allPoints.map(pt => pt.x), ys = allPoints.map(pt => pt.y);
+    let cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    let scale = 1 / (svgPointsHalfExtent(allPoints) || 1);
+    for (let layer of layers) {
+        layer.vertexData = layer.vertexData.map(pt => ({ x: +((pt.x - cx) * scale).toFixed(4), y: +((pt.y - cy) * scale).toFixed(4) }));
+        layer.strokeW *= scale;
+    }
+    layers.reverse(); // Later SVG elements are drawn on top; 'shapes' keeps the top layer at index 0
+    return { layers, unsupported: Object.entries(unsupportedCounts).map(([what, n]) => `${n} x ${what}`) };
+}
+
+function collectSvgShapes(node, parentMatrix, items, unsupportedCounts) {
+    for (let el of Array.from(node.children)) {
+        let tag = el.localName;
+        if (svgIgnoredTags.includes(tag) || getSvgStyle(el, 'display', false) === 'none') continue;
+        let matrix = multiplySvgMatrix(parentMatrix, parseSvgTransform(el.getAttribute('transform') || ''));
+        if (svgContainerTags.includes(tag)) { collectSvgShapes(el, matrix, items, unsupportedCounts); continue; }
+
+        let subpaths = null;
+        if (tag === 'polygon' || tag === 'polyline') {
+            let nums = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number).filter(n => isFinite(n));
+            let pts = [];
+            for (let i = 0; i + 1 < nums.length; i += 2) pts.push({ x: nums[i], y: nums[i + 1] });
+            subpaths = pts.length > 0 ? [{ start: pts[0], segments: pts.slice(1).map(to => ({ to })), closed: true }] : [];
+        } else if (tag === 'rect') {
+            let [x, y, w, h] = ['x', 'y', 'width', 'height'].map(attr => parseFloat(el.getAttribute(attr)) || 0);
+            subpaths = w > 0 && h > 0 ? [{ start: { x, y }, segments: [{ to: { x: x + w, y } }, { to: { x: x + w, y: y + h } }, { to: { x, y: y + h } }], closed: true }] : [];
+        } else if (tag === 'path') {
+            subpaths = parseSvgPathData(el.getAttribute('d') || '');
+        }
+        if (subpaths === null) { unsupportedCounts[`<${tag}>`] = (unsupportedCounts[`<${tag}>`] || 0) + 1; continue; }
+
+        let fill = getSvgStyle(el, 'fill', true) ?? 'black'; // SVG default fill is black
+        let stroke = getSvgStyle(el, 'stroke', true) ?? 'none';
+        let strokeWidth = parseFloat(getSvgStyle(el, 'stroke-width', true) ?? '1');
+        items.push({
+            tag, matrix, subpaths,
+            name: el.getAttribute('data-name') || el.getAttribute('inkscape:label') || null, // Our own export / Inkscape labels
+            fillColor: svgPaintToRgb(fill) || [180, 180, 180], // 'none'/gradients fall back to the editor defaults
+            strokeColor: svgPaintToRgb(stroke) || [50, 50, 50],
+            strokeWidth: stroke === 'none' || !(strokeWidth > 0) ? 0 : strokeWidth
+        });
+    }
+}
+
+function getSvgStyle(el, property, inherit) {
+    // Value from the style attribute, then the presentation attribute, then (if inherited) the ancestors
+    for (let node = el; node && node.getAttribute; node = inherit ? node.parentNode : null) {
+        let styleMatch = (node.getAttribute('style') || '').match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`));
+        let value = styleMatch ? styleMatch[1].trim() : node.getAttribute(property);
+        if (value !== null && value !== undefined && value !== '' && value !== 'inherit') return value.replace(/\s*!important$/, '');
+    }
+    return null;
+}
+
+function svgPaintToRgb(paint) {
+    // CSS colour (hex, rgb(), named) to [r, g, b]; null for 'none', url(#gradient) etc.
+    if (!paint || paint === 'none' || paint.startsWith('url(') || paint === 'currentColor') return null;
+    try {
+        let c = color(paint);
+        return [red(c), green(c), blue(c)].map(v => Math.round(v));
+    } catch (e) { console.warn("SVG import: unrecognised colour", paint); return null; }
+}
+
+function parseSvgPathData(d) {
+    // Path data to subpaths of line ({to}) and cubic ({c1, c2, to}) segments; quadratics and arcs become cubics
+    let subpaths = [], sub = null;
+    let pos = 0, cur = { x: 0, y: 0 }, start = { x: 0, y: 0 }, lastCmd = '', lastCtrl = null;
+    let skipSeparators = () => { while (pos < d.length && /[\s,]/.test(d[pos])) pos++; };
+    let readNumber = () => {
+        skipSeparators();
+        let m = d.slice(pos).match(/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+        if (!m) throw new Error(`bad number in path data near "${d.slice(pos, pos + 12)}"`);
+        pos += m[0].length; return parseFloat(m[0]);
+    };
+    let readFlag = () => { skipSeparators(); let f = d[pos++]; if (f !== '0' && f !== '1') throw new Error("bad arc flag in path data"); return f === '1'; };
+    let addSegment = seg => {
+        if (!sub) { sub = { start: { ...cur }, segments: [], closed: false }; subpaths.push(sub); }
+        sub.segments.push(seg); cur = { ...seg.to };
+    };
+
+    skipSeparators();
+    while (pos < d.length) {
+        let cmd = d[pos];
+        if (/[A-Za-z]/.test(cmd)) pos++;
+        else if (lastCmd && lastCmd.toUpperCase() !== 'Z') cmd = lastCmd === 'M' ? 'L' : lastCmd === 'm' ? 'l' : lastCmd; // Implicit repeat
+        else throw new Error(`path data must start with a command near "${d.slice(pos, pos + 12)}"`);
+        let rel = cmd === cmd.toLowerCase(), C = cmd.toUpperCase();
+        let pt = () => { let x = readNumber(), y = readNumber(); return rel ? { x: cur.x + x, y: cur.y + y } : { x, y }; };
+        let ctrl = null;
+        if (C === 'M') {
+            cur = pt(); start = { ...cur };
+            sub = { start: { ...cur }, segments: [], closed: false }; subpaths.push(sub);
+        } else if (C === 'L') { addSegment({ to: pt() });
+        } else if (C === 'H') { let x = readNumber(); addSegment({ to: { x: rel ? cur.x + x : x, y: cur.y } });
+        } else if (C === 'V') { let y = readNumber(); addSegment({ to: { x: cur.x, y: rel ? cur.y + y : y } });
+        } else if (C === 'C' || C === 'S') {
+            let c1 = C === 'C' ? pt() : (lastCtrl && /[CcSs]/.test(lastCmd) ? { x: 2 * cur.x - lastCtrl.x, y: 2 * cur.y - lastCtrl.y } : { ...cur });
+            let c2 = pt(), to = pt();
+            addSegment({ c1, c2, to }); ctrl = c2;
+        } else if (C === 'Q' || C === 'T') {
+            let q = C === 'Q' ? pt() : (lastCtrl && /[QqTt]/.test(lastCmd) ? { x: 2 * cur.x - lastCtrl.x, y: 2 * cur.y - lastCtrl.y } : { ...cur });
+            let from = { ...cur }, to = pt();
+            addSegment({ c1: { x: from.x + 2 / 3 * (q.x - from.x), y: from.y + 2 / 3 * (q.y - from.y) }, c2: { x: to.x + 2 / 3 * (q.x - to.x), y: to.y + 2 / 3 * (q.y - to.y) }, to });
+            ctrl = q;
+        } else if (C === 'A') {
+            let rx = readNumber(), ry = readNumber(), angle = readNumber(), largeArc = readFlag(), sweep = readFlag(), to = pt();
+            for (let seg of svgArcToCubics(cur, rx, ry, angle, largeArc, sweep, to)) addSegment(seg);
+        } else if (C === 'Z') {
+            if (sub) sub.closed = true;
+            cur = { ...start }; sub = null;
+        } else {
+            throw new Error(`unsupported path command '${cmd}'`);
+        }
+        lastCmd = cmd; lastCtrl = ctrl;
+        skipSeparators();
+    }
+    return subpaths.filter(sp => sp.segments.length > 0);
+}
+
+function svgArcToCubics(from, rx, ry, angleDeg, largeArc, sweep, to) {
+    // Endpoint arc (SVG spec F.6.5) to cubic Bezier segments of at most 90 degrees each
+    rx = Math.abs(rx); ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) return [{ to }];
+    let phi = angleDeg * Math.PI / 180, cosPhi = Math.cos(phi), sinPhi = Math.sin(phi);
+    let dx = (from.x - to.x) / 2, dy = (from.y - to.y) / 2;
+    let x1p = cosPhi * dx + sinPhi * dy, y1p = -sinPhi * dx + cosPhi * dy;
+    let lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); } // Radii too small: scale up
+    let num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    let coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+    let cxp = coef * rx * y1p / ry, cyp = -coef * ry * x1p / rx;
+    let cx = cosPhi * cxp - sinPhi * cyp + (from.x + to.x) / 2, cy = sinPhi * cxp + cosPhi * cyp + (from.y + to.y) / 2;
+    let vecAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    let theta = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI; else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    let count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+    let step = delta / count, k = 4 / 3 * Math.tan(step / 4);
+    let onEllipse = (t, scale = 1, dxSign = 0) => ({ // Point (or scaled tangent added) on the rotated ellipse
+        x: cx + cosPhi * rx * (Math.cos(t) - dxSign * scale * Math.sin(t)) - sinPhi * ry * (Math.sin(t) + dxSign * scale * Math.cos(t)),
+        y: cy + sinPhi * rx * (Math.cos(t) - dxSign * scale * Math.sin(t)) + cosPhi * ry * (Math.sin(t) + dxSign * scale * Math.cos(t))
+    });
+    let segments = [];
+    for (let i = 0; i < count; i++) {
+        let t1 = theta + i * step, t2 = t1 + step;
+        segments.push({ c1: onEllipse(t1, k, 1), c2: onEllipse(t2, k, -1), to: i === count - 1 ? { ...to } : onEllipse(t2) });
+    }
+    return segments;
+}
+
+function flattenSvgSubpath(sub, tolerance) {
+    let points = [{ ...sub.start }], cur = sub.start;
+    for (let seg of sub.segments) {
+        if (seg.c1) flattenCubic(cur, seg.c1, seg.c2, seg.to, tolerance, points, 0);
+        else points.push({ ...seg.to });
+        cur = seg.to;
+    }
+    return points;
+}
+
+function flattenCubic(p0, p1, p2, p3, tolerance, out, depth) {
+    // Recursive subdivision until both control points are within 'tolerance' of the chord; appends end points
+    let flatEnough = Math.sqrt(distSqToSegment(p1.x, p1.y, p0.x, p0.y, p3.x, p3.y)) <= tolerance &&
+                     Math.sqrt(distSqToSegment(p2.x, p2.y, p0.x, p0.y, p3.x, p3.y)) <= tolerance;
+    if (flatEnough || depth >= 12) { out.push({ ...p3 }); return; }
+    let mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    let p01 = mid(p0, p1), p12 = mid(p1, p2), p23 = mid(p2, p3), p012 = mid(p01, p12), p123 = mid(p12, p23), m = mid(p012, p123);
+    flattenCubic(p0, p01, p012, m, tolerance, out, depth + 1);
+    flattenCubic(m, p123, p23, p3, tolerance, out, depth + 1);
+}
+
+function parseSvgTransform(text) {
+    // transform attribute to an [a, b, c, d, e, f] matrix (x' = a*x + c*y + e, y' = b*x + d*y + f)
+    let matrix = [1, 0, 0, 1, 0, 0], match;
+    let pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    while ((match = pattern.exec(text)) !== null) {
+        let a = match[2].trim().split(/[\s,]+/).map(Number);
+        let rad = deg => deg * Math.PI / 180, t;
+        switch (match[1]) {
+            case 'matrix': t = a.slice(0, 6); break;
+            case 'translate': t = [1, 0, 0, 1, a[0] || 0, a[1] || 0]; break;
+            case 'scale': t = [a[0], 0, 0, a.length > 1 ? a[1] : a[0], 0, 0]; break;
+            case 'rotate': {
+                let c = Math.cos(rad(a[0])), s = Math.sin(rad(a[0])), cx = a[1] || 0, cy = a[2] || 0;
+                t = [c, s, -s, c, cx - c * cx + s * cy, cy - s * cx - c * cy]; break;
+            }
+            case 'skewX': t = [1, 0, Math.tan(rad(a[0])), 1, 0, 0]; break;
+            case 'skewY': t = [1, Math.tan(rad(a[0])), 0, 1, 0, 0]; break;
+        }
+        matrix = multiplySvgMatrix(matrix, t);
+    }
+    return matrix;
+}
+
+function multiplySvgMatrix(m, n) {
+    return [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1], m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+}
+
+function applySvgMatrix(m, pt) {
+    return { x: m[0] * pt.x + m[2] * pt.y + m[4], y: m[1] * pt.x + m[3] * pt.y + m[5] };
+}
+
+function orientSvgPoint(pt, nose) {
+    // Rotates a drawing whose nose points 'up'/'down'/'left'/'right' (SVG y grows down) so the nose points +X
+    switch (nose) {
+        case 'up': return { x: -pt.y, y: pt.x };
+        case 'down': return { x: pt.y, y: -pt.x };
+        case 'left': return { x: -pt.x, y: -pt.y };
+        default: return { ...pt };
+    }
+}
+
+function svgPointsHalfExtent(points) {
+    // Half of the larger bounding-box side (0 for no points)
+    if (points.length === 0) return 0;
+    let xs = points.map(pt => pt.x), ys = points.map(pt => pt.y);
+    return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) / 2;
+}
+
+// --- Project File Functions ---
+// A project (.shipproj.json) holds everything needed to resume a design:
+// { format, version, savedAt, baseShipKey, size, stats, thrusters, procedural, layers }
+// 'thrusters' null means "the base ship's own thrusters" (version 1 stored engineGlowCode instead).
+// 'procedural' holds a procedural ship's parameters (null for layered designs; missing in older files: the base's own).
+function buildProjectData() {
+    return {
+        format: PROJECT_FORMAT_ID,
+        version: PROJECT_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        baseShipKey: currentShipKey,
+        size: currentShipStats.size ?? null,
+        stats: { ...currentShipStats },
+        thrusters: cloneHistoryData(thrusters),
+        procedural: cloneHistoryData(proceduralParams),
+        layers: JSON.parse(JSON.stringify(shapes)), // Deep copy, top layer first
+        backdrop: backdrop ? { ...backdrop } : null
+    };
+}
+
+function saveProjectFile() {
+    if (!currentShipKey) { console.warn("Save Project: nothing loaded to save."); return; }
+    let project = buildProjectData();
+    let baseName = (currentShipKey === '--- New Blank ---' ? 'CustomShip' : currentShipKey).replace(/\s+/g, '');
+    saveJSON(project, `${baseName}.shipproj.json`);
+    // The work is safely on disk now, so there's nothing to recover
+    projectDirty = false;
+    localStorage.removeItem(autosaveStorageKey);
+}
+
+function handleProjectFileChosen() {
+    let file = projectFileInput?.elt?.files?.[0];
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadProjectData(JSON.parse(String(reader.result)));
+            console.log(`Opened project '${file.name}'.`);
+        } catch (e) {
+            console.error("Open Project failed:", file.name, e);
+            alert(`Could not open '${file.name}': ${e.message}`);
+        }
+    };
+    reader.onerror = () => { console.error("Open Project failed: could not read file", file.name, reader.error); alert(`Could not read '${file.name}'.`); };
+    reader.readAsText(file);
+    projectFileInput.elt.value = ''; // Allow re-opening the same file
+}
+
+function migrateProject(project) {
+    // Applies projectMigrations one version at a time up to PROJECT_SCHEMA_VERSION
+    if (!project || project.format !== PROJECT_FORMAT_ID) throw new Error("not a ship editor project file");
+    let version = project.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`invalid project version '${version}'`);
+    if (version > PROJECT_SCHEMA_VERSION) throw new Error(`project version ${version} is newer than this editor supports (${PROJECT_SCHEMA_VERSION})`);
+    while (version < PROJECT_SCHEMA_VERSION) {
+        let migrate = projectMigrations[version];
+        if (!migrate) throw new Error(`no migration from project version ${version}`);
+        project = migrate(project);
+        version++;
+        project.version = version;
+    }
+    return project;
+}
+
+function loadProjectData(rawProject) {
+    // Throws (without touching the current design) if the project can't be used
+    let project = migrateProject(rawProject);
+    if (!Array.isArray(project.layers)) throw new Error("project has no layers array");
+    project.layers.forEach((layer, i) => {
+        let problem = validateShapeLayer(layer);
+        if (problem) throw new Error(`layer ${i}: ${problem}`);
+    });
+    if (project.thrusters !== null && project.thrusters !== undefined) {
+        if (!Array.isArray(project.thrusters)) throw new Error("thrusters must be an array");
+        project.thrusters.forEach((t, i) => {
+            let problem = validateThruster(t);
+            if (problem) throw new Error(`thruster ${i}: ${problem}`);
+        });
+    }
+
+    if (project.procedural) {
+        let problem = validateProceduralParams(project.procedural);
+        if (problem) throw new Error(`procedural parameters: ${problem}`);
+    }
+    if (project.backdrop) {
+        let problem = validateBackdrop(project.backdrop);
+        if (problem) throw new Error(`backdrop: ${problem}`);
+    }
+
+    loadDesignOntoBase(project.baseShipKey, project.layers, project.thrusters ?? null, project.procedural);
+    currentShipStats = { ...currentShipStats, ...(project.stats || {}) };
+    if (typeof project.size === 'number') currentShipStats.size = project.size;
+    updateStatsForm();
+    setBackdrop(project.backdrop ? { ...project.backdrop } : null);
+    projectDirty = false;
+}
+
+function migrateProjectV1ToV2(project) {
+    // Version 1 kept the imported 'if (thrusting)' code; version 2 stores it as thruster data
+    let { engineGlowCode, ...rest } = project;
+    return { ...rest, thrusters: engineGlowCode ? thrustersFromGlowCode(engineGlowCode, skipped => alertSkippedGlowCalls('Project engine glow', skipped)) : null };
+}
+
+function migrateProjectV2ToV3(project) {
+    // Version 3 added the backdrop image; older projects have none
+    return { ...project, backdrop: null };
+}
+
+function validateShapeLayer(shape) {
+    // Returns a description of what is wrong with a shape layer, or null if it is usable
+    if (!shape || typeof shape !== 'object') return "not an object";
+    if (!Array.isArray(shape.vertexData)) return "vertexData missing or not an array";
+    if (!Array.isArray(shape.fillColor) || shape.fillColor.length !== 3 || shape.fillColor.some(c => typeof c !== 'number' || isNaN(c))) return "fillColor must be [r, g, b]";
+    if (!Array.isArray(shape.strokeColor) || shape.strokeColor.length !== 3 || shape.strokeColor.some(c => typeof c !== 'number' || isNaN(c))) return "strokeColor must be [r, g, b]";
+    if (typeof shape.strokeW !== 'number' || isNaN(shape.strokeW)) return "strokeW must be a number";
+    for (let j = 0; j < shape.vertexData.length; j++) {
+        let problem = validateVertex(shape.vertexData[j]);
+        if (problem) return `vertex ${j}: ${problem}`;
+    }
+    if (shape.name !== undefined && typeof shape.name !== 'string') return "name must be a string";
+    if (shape.hidden !== undefined && typeof shape.hidden !== 'boolean') return "hidden must be true or false";
+    if (shape.locked !== undefined && typeof shape.locked !== 'boolean') return "locked must be true or false";
+    if (shape.mirrorLinks !== undefined) {
+        let isIndex = i => Number.isInteger(i) && i >= 0 && i < shape.vertexData.length;
+        if (!Array.isArray(shape.mirrorLinks) || shape.mirrorLinks.some(link => !Array.isArray(link) || link.length !== 2 || !isIndex(link[0]) || !isIndex(link[1]))) return "mirrorLinks must be [a, b] vertex index pairs";
+    }
+    return null;
+}
+
+function validateVertex(v) {
+    // Returns what is wrong with a vertex { x, y, curve?, handleIn?, handleOut? }, or null if it is usable
+    let isPoint = p => typeof p?.x === 'number' && typeof p?.y === 'number' && isFinite(p.x) && isFinite(p.y);
+    if (!isPoint(v)) return "x and y must be numbers";
+    if (v.curve !== undefined && v.curve !== 'smooth' && v.curve !== 'catmull') return `curve must be "smooth" or "catmull"`;
+    if (v.curve === 'smooth' && (!isPoint(v.handleIn) || !isPoint(v.handleOut))) return "a smooth vertex needs handleIn and handleOut { x, y }";
+    return null;
+}
+
+function autosaveProject() {
+    if (!projectDirty || !currentShipKey) return;
+    let project = buildProjectData();
+    try {
+        try {
+            localStorage.setItem(autosaveStorageKey, JSON.stringify(project));
+        } catch (e) {
+            if (!project.backdrop?.dataUrl) throw e;
+            // A large backdrop image can overflow storage; keep the design (and the image's placement) without it
+            console.warn("Autosave: backdrop image too large for storage, saving without it.");
+            localStorage.setItem(autosaveStorageKey, JSON.stringify({ ...project, backdrop: { ...project.backdrop, dataUrl: null } }));
+        }
+        projectDirty = false;
+    } catch (e) {
+        console.error("Autosave failed:", e); // e.g. storage full or disabled; keep dirty so we retry
+    }
+}
+
+function offerAutosaveRestore() {
+    let saved = null;
+    try {
+        let raw = localStorage.getItem(autosaveStorageKey);
+        if (raw) saved = JSON.parse(raw);
+    } catch (e) {
+        console.error("Autosave data unreadable, discarding:", e);
+        localStorage.removeItem(autosaveStorageKey);
+        return;
+    }
+    if (!saved) return;
+
+    let shipLabel = saved.stats?.name || saved.baseShipKey || 'a design';
+    let when = saved.savedAt ? new Date(saved.savedAt).toLocaleString() : 'an earlier session';
+    if (confirm(`Restore unsaved work on "${shipLabel}" from ${when}?`)) {
+        try {
+            loadProjectData(saved);
+            projectDirty = true; // Still not saved to a file, keep it in the autosave slot
+            console.log("Restored autosaved work.");
+        } catch (e) {
+            console.error("Could not restore autosaved work:", e);
+            alert(`Could not restore unsaved work: ${e.message}`);
+        }
+    } else {
+        localStorage.removeItem(autosaveStorageKey);
+    }
+}
+
+// --- Utility Functions ---
+function isPointInPolygon(px, py, polygonVertices) {
+    if (!polygonVertices || polygonVertices.length < 3) return false;
+    polygonVertices = flattenOutline(polygonVertices); // Curved edges as polylines
+    let isInside = false;
+    for (let i = 0, j = polygonVertices.length - 1; i < polygonVertices.length; j = i++) {
+        let vi = polygonVertices[i]; let vj = polygonVertices[j];
+        if (typeof vi?.x !== 'number' || typeof vi?.y !== 'number' || typeof vj?.x !== 'number' || typeof vj?.y !== 'number') { continue; }
+        let xi = vi.x, yi = vi.y; let xj = vj.x, yj = vj.y;
+        if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) { isInside = !isInside; }
+    } return isInside;
+}
+
+function findClosestEdgeRelative(shape, mx_rel_shape, my_rel_shape) {
+    // Nearest edge (measured along its curve if it has one) as { index, distSq, x, y, t }, or null
+    let closest = null;
+    if (!shape?.vertexData || shape.vertexData.length < 2) return null;
+    for (let i = 0; i < shape.vertexData.length; i++) {
+        let v1 = shape.vertexData[i]; let v2 = shape.vertexData[(i + 1) % shape.vertexData.length];
+        if (typeof v1?.x !== 'number' || typeof v1?.y !== 'number' || typeof v2?.x !== 'number' || typeof v2?.y !== 'number') continue;
+        let p = closestPointOnEdge(shape.vertexData, i, mx_rel_shape, my_rel_shape);
+        if (!closest || p.distSq < closest.distSq) { closest = { index: i, ...p }; }
+    }
+    return closest;
+}
+
+function distSqToSegment(px, py, x1, y1, x2, y2) {
+    let proj = closestPointOnSegment(px, py, x1, y1, x2, y2);
+    return distSq(px, py, proj.x, proj.y);
+}
+
+function closestPointOnSegment(px, py, x1, y1, x2, y2) {
+    let l2 = distSq(x1, y1, x2, y2); if (l2 === 0) return { x: x1, y: y1 };
+    let t = ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / l2;
+    t = Math.max(0, Math.min(1, t));
+    return { x: x1 + t * (x2 - x1), y: y1 + t * (y2 - y1) };
+}
+
+function distSq(x1, y1, x2, y2) {
+    let dx = x1 - x2; let dy = y1 - y2; return dx * dx + dy * dy;
+}
+
+function hsbToRgb(h, s, b) {
+    // HSB (hue 0-360, saturation/brightness 0-100) to a rounded [r, g, b], as colorMode(HSB, 360, 100, 100) would give
+    let sat = s / 100, val = b / 100;
+    let f = n => { let k = (n + h / 60) % 6; return Math.round(255 * (val - val * sat * Math.max(0, Math.min(k, 4 - k, 1)))); };
+    return [f(5), f(3), f(1)];
 }
 
 function rgbToHex(rgb) {
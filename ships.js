@@ -4,15 +4,71 @@
 // MODIFIED FOR EDITOR: Includes vertexData array and updated draw functions.
 // VERSION WITH 10+15 NEW SHIP DESIGNS ADDED, Viper/Krait names reverted.
 
+// Helper function to get the tangent offset leaving (side 'out') or entering (side 'in') vertex i, or null for a corner.
+// Vertices are { x, y } corners, { x, y, curve: 'smooth', handleIn, handleOut } with handle offsets relative to the vertex,
+// or { x, y, curve: 'catmull' } whose tangent follows its neighbours like a Catmull-Rom spline
+function vertexTangent(vertexData, i, side) {
+    let v = vertexData[i], n = vertexData.length;
+    if (v.curve === 'smooth') { let h = side === 'out' ? v.handleOut : v.handleIn; return h.x || h.y ? h : null; } // A zero-length handle is a corner on that side
+    if (v.curve !== 'catmull') return null;
+    let prev = vertexData[(i - 1 + n) % n], next = vertexData[(i + 1) % n], sign = side === 'out' ? 1 : -1;
+    return { x: sign * (next.x - prev.x) / 6, y: sign * (next.y - prev.y) / 6 };
+}
+
+// Helper function to get the Bézier control points of the edge from vertex i to the next one, or null if it is straight
+function outlineSegmentControls(vertexData, i) {
+    let n = vertexData.length, a = vertexData[i], b = vertexData[(i + 1) % n];
+    let out = vertexTangent(vertexData, i, 'out'), inT = vertexTangent(vertexData, (i + 1) % n, 'in');
+    if (!out && !inT) return null;
+    return { c1: { x: a.x + (out ? out.x : 0), y: a.y + (out ? out.y : 0) }, c2: { x: b.x + (inT ? inT.x : 0), y: b.y + (inT ? inT.y : 0) } };
+}
+
+// The helpers below draw on the main canvas by default; pass a p5.Graphics as 'g' to draw on it instead.
+
+// Helper function to emit the vertices of a closed outline inside beginShape(), curved edges as bezierVertex()
+function drawOutlineVertices(r, vertexData, g = window) {
+    if (!vertexData.some(v => v.curve)) { for (let v of vertexData) g.vertex(v.x * r, v.y * r); return; }
+    g.vertex(vertexData[0].x * r, vertexData[0].y * r);
+    for (let i = 0; i < vertexData.length; i++) {
+        let b = vertexData[(i + 1) % vertexData.length], c = outlineSegmentControls(vertexData, i);
+        if (c) g.bezierVertex(c.c1.x * r, c.c1.y * r, c.c2.x * r, c.c2.y * r, b.x * r, b.y * r);
+        else if (i < vertexData.length - 1) g.vertex(b.x * r, b.y * r); // The last straight edge is closed by CLOSE
+    }
+}
+
 // Helper function to draw shape from vertex data
-function drawShapeFromData(r, vertexData, fillCol, strokeCol, strokeWeightVal) {
-    if (fillCol) fill(fillCol); else noFill();
-    if (strokeCol) { stroke(strokeCol); strokeWeight(strokeWeightVal || 1); } else { noStroke(); }
-    beginShape();
-    for (let v of vertexData) {
-        vertex(v.x * r, v.y * r);
+function drawShapeFromData(r, vertexData, fillCol, strokeCol, strokeWeightVal, g = window) {
+    if (fillCol) g.fill(fillCol); else g.noFill();
+    if (strokeCol) { g.stroke(strokeCol); g.strokeWeight(strokeWeightVal || 1); } else { g.noStroke(); }
+    g.beginShape();
+    drawOutlineVertices(r, vertexData, g);
+    g.endShape(CLOSE);
+}
+
+// Helper function to draw every layer of a definition: its 'layers' array
+// (bottom layer first, each { name?, vertexData, fillColor, strokeColor, strokeW, hidden? }) or, if it has none, its single vertexData shape
+function drawShapesFromLayers(r, def, g = window) {
+    let layers = Array.isArray(def.layers) && def.layers.length > 0 ? def.layers : [def];
+    for (let layer of layers) {
+        if (layer.hidden || !layer.vertexData || layer.vertexData.length === 0) continue;
+        drawShapeFromData(r, layer.vertexData, layer.fillColor ? g.color(layer.fillColor) : null, layer.strokeColor ? g.color(layer.strokeColor) : null, layer.strokeW, g);
     }
-    endShape(CLOSE);
+}
+
+// Helper function to draw a procedural ship from a definition's 'procedural' parameters:
+// { points, outerRadius, innerRadius (x r), hueSpeed (degrees per frame), saturation (0-100), coreSize (x r), pulseRate (radians per frame) }
+// A star of 'points' spikes whose hue cycles with 'frame' (the sketch's frameCount by default), with a pulsing core.
+// Math.sin/cos keep it independent of angleMode().
+function drawProceduralShip(r, p, g = window, frame = frameCount) {
+    let baseHue = (frame * p.hueSpeed) % 360; g.colorMode(HSB, 360, 100, 100, 100);
+    g.fill(baseHue, p.saturation, 70, 80); g.stroke((baseHue + 40) % 360, Math.min(100, p.saturation + 10), 90, 90); g.strokeWeight(2);
+    g.beginShape();
+    for (let i = 0; i < p.points; i++) {
+        let angle1 = i / p.points * Math.PI * 2; let angle2 = (i + 0.5) / p.points * Math.PI * 2;
+        g.vertex(Math.cos(angle1) * r * p.outerRadius, Math.sin(angle1) * r * p.outerRadius); g.vertex(Math.cos(angle2) * r * p.innerRadius, Math.sin(angle2) * r * p.innerRadius);
+    } g.endShape(CLOSE);
+    g.colorMode(RGB, 255); g.fill(0, 255, 150, g.map(Math.sin(frame * p.pulseRate), -1, 1, 50, 150)); g.noStroke();
+    g.ellipse(0, 0, r * p.coreSize, r * p.coreSize);
 }
 
 // --- Ship Drawing Functions (Using vertexData) ---
@@ -61,17 +117,8 @@ function drawKrait(s, thrusting = false) {
     if (thrusting) { fill(180, 180, 100); noStroke(); ellipse(-r*0.7, r*0.3, r*0.3, r*0.2); ellipse(-r*0.7, -r*0.3, r*0.3, r*0.2); }
 }
 function drawThargoid(s, thrusting = false) { // (Original Thargoid)
-    let r = s / 2;
-    let baseHue = (frameCount * 0.5) % 360; colorMode(HSB, 360, 100, 100, 100);
-    fill(baseHue, 80, 70, 80); stroke( (baseHue + 40) % 360, 90, 90, 90); strokeWeight(2);
-    beginShape();
-    for (let i = 0; i < 8; i++) {
-        let angle1 = map(i, 0, 8, 0, TWO_PI); let angle2 = map(i + 0.5, 0, 8, 0, TWO_PI);
-        let outerR = r * 1.1; let innerR = r * 0.6;
-        vertex(cos(angle1) * outerR, sin(angle1) * outerR); vertex(cos(angle2) * innerR, sin(angle2) * innerR);
-    } endShape(CLOSE);
-    colorMode(RGB, 255); fill(0, 255, 150, map(sin(frameCount * 0.1), -1, 1, 50, 150)); noStroke();
-    ellipse(0, 0, r*0.5, r*0.5);
+    let r = s / 2; let def = SHIP_DEFINITIONS.Thargoid;
+    drawProceduralShip(r, def.procedural);
 }
 
 function drawAspExplorer(s, thrusting = false) {
@@ -467,7 +514,8 @@ const SHIP_DEFINITIONS = {
         name: "Thargoid Interceptor", role: "Alien Combat", sizeCategory: "Large", size: 60,
         baseMaxSpeed: 8.0, baseThrust: 0.20, baseTurnRateDegrees: 6.0, baseHull: 200, baseShield: 300, shieldRecharge: 2.0, cargoCapacity: 0,
         armament: "Alien tech", costCategory: "N/A", description: "Hostile alien vessel. Highly dangerous.",
-        drawFunction: drawThargoid, vertexData: [], // Not editable via vertex data in this setup
+        drawFunction: drawThargoid, vertexData: [], // Procedural: drawn from the parameters below
+        procedural: { points: 8, outerRadius: 1.1, innerRadius: 0.6, hueSpeed: 0.5, saturation: 80, coreSize: 0.5, pulseRate: 0.1 },
     },
     "Type6Transporter": {
         name: "Type-6 Transporter", role: "Trader", sizeCategory: "Medium", size: 40,